@@ -0,0 +1,230 @@
+/**
+ * AlternativesPicker Module
+ * Popup listing the recogniser's alternative transcripts for a dictated phrase
+ * Follows Single Responsibility Principle: Only manages the alternatives popup
+ */
+
+// Spoken choices while the popup is open ("two", "option 2", "choose two")
+const CHOICE_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+const CHOICE_PATTERN = /^(?:option|choose|number|pick)?\s*(\d|one|two|three|four|five|six|seven|eight|nine)[.!]?$/;
+const CANCEL_PATTERN = /^(?:cancel|close|never ?mind)[.!]?$/;
+
+export class AlternativesPicker {
+    constructor() {
+        this.elements = {
+            picker: document.getElementById('alternativesPicker'),
+            list: document.getElementById('alternativesList')
+        };
+
+        this.alternatives = [];
+        this.highlighted = -1;
+        this.anchor = null;
+
+        this.onPickCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for the popup
+     */
+    setupEventListeners() {
+        // mousedown, so the editor keeps focus and its caret
+        this.elements.list?.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            this.pick(Number(item.dataset.index));
+        });
+
+        // Capture phase: runs before the editor's own key handling
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen()) this.handleKey(e);
+        }, true);
+
+        document.addEventListener('mousedown', (e) => {
+            if (!this.isOpen()) return;
+            if (this.elements.picker.contains(e.target) || this.anchor?.contains(e.target)) return;
+            this.close();
+        });
+
+        window.addEventListener('resize', () => this.close());
+        document.addEventListener('scroll', () => this.close(), true);
+    }
+
+    /**
+     * Handle keys while the popup is open: arrows move, Enter picks, Escape
+     * closes, anything else closes the popup and goes through to the editor
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKey(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                e.stopPropagation();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.alternatives.length;
+                this.highlight(this.highlighted === -1
+                    ? (step === 1 ? 0 : count - 1)
+                    : (this.highlighted + step + count) % count);
+                break;
+            }
+
+            case 'Enter':
+                if (this.highlighted === -1) {
+                    this.close();
+                    return;
+                }
+                e.preventDefault();
+                e.stopPropagation();
+                this.pick(this.highlighted);
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+                break;
+
+            case 'Shift':
+            case 'Control':
+            case 'Alt':
+            case 'Meta':
+                break;
+
+            default:
+                this.close();
+        }
+    }
+
+    /**
+     * Show alternatives below a dictated phrase
+     * @param {HTMLElement} anchor - Phrase element
+     * @param {Array<string>} alternatives - Alternatives, best first
+     * @param {string} current - Text the phrase shows now
+     */
+    open(anchor, alternatives, current) {
+        const { picker, list } = this.elements;
+        if (!picker || !list) return;
+
+        this.anchor = anchor;
+        this.alternatives = alternatives;
+        this.highlighted = -1;
+
+        list.innerHTML = '';
+        alternatives.forEach((text, index) => {
+            const item = document.createElement('li');
+            item.className = 'alternative-item';
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+
+            const number = document.createElement('span');
+            number.className = 'alternative-number';
+            number.textContent = index + 1;
+
+            const label = document.createElement('span');
+            label.className = 'alternative-text';
+            label.textContent = text;
+
+            item.append(number, label);
+
+            if (text === current) {
+                item.classList.add('current');
+                item.setAttribute('aria-selected', 'true');
+            }
+
+            list.appendChild(item);
+        });
+
+        picker.hidden = false;
+        this.position();
+    }
+
+    /**
+     * Place the popup under its phrase, flipping above it near the bottom of the window
+     */
+    position() {
+        const { picker } = this.elements;
+        const rect = this.anchor.getBoundingClientRect();
+        const height = picker.offsetHeight;
+        const width = picker.offsetWidth;
+
+        const below = rect.bottom + 6;
+        const top = below + height > window.innerHeight ? Math.max(8, rect.top - height - 6) : below;
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+
+        picker.style.top = `${top}px`;
+        picker.style.left = `${left}px`;
+    }
+
+    /**
+     * Hide the popup
+     */
+    close() {
+        if (this.elements.picker) this.elements.picker.hidden = true;
+        this.anchor = null;
+        this.alternatives = [];
+        this.highlighted = -1;
+    }
+
+    /**
+     * Check if the popup is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.elements.picker && !this.elements.picker.hidden;
+    }
+
+    /**
+     * Highlight an alternative for keyboard selection
+     * @param {number} index - Alternative index
+     */
+    highlight(index) {
+        this.highlighted = index;
+        this.elements.list.querySelectorAll('.alternative-item').forEach(item => {
+            item.classList.toggle('highlighted', Number(item.dataset.index) === index);
+        });
+    }
+
+    /**
+     * Choose an alternative
+     * @param {number} index - Alternative index
+     * @returns {boolean} True if the index was valid
+     */
+    pick(index) {
+        if (index < 0 || index >= this.alternatives.length) return false;
+
+        const anchor = this.anchor;
+        const text = this.alternatives[index];
+        this.close();
+
+        if (this.onPickCallback) this.onPickCallback(anchor, text);
+        return true;
+    }
+
+    /**
+     * Interpret a spoken choice
+     * @param {string} transcript - Final transcript
+     * @returns {number|string|null} Alternative index, 'cancel', or null if it is not a choice
+     */
+    static parseChoice(transcript) {
+        const text = (transcript || '').toLowerCase().trim();
+
+        if (CANCEL_PATTERN.test(text)) return 'cancel';
+
+        const match = text.match(CHOICE_PATTERN);
+        if (!match) return null;
+
+        const number = /\d/.test(match[1]) ? Number(match[1]) : CHOICE_WORDS.indexOf(match[1]) + 1;
+        return number - 1;
+    }
+
+    /**
+     * Set callback for choosing an alternative
+     * @param {Function} callback - Receives (phrase element, chosen text)
+     */
+    onPick(callback) {
+        this.onPickCallback = callback;
+    }
+}
@@ -4,7 +4,7 @@
  * Follows Dependency Injection and Separation of Concerns
  */
 
-import { SpeechRecognition } from './speechRecognition.js';
+import { createRecognitionEngine } from './engineFactory.js';
 import { TextEditor } from './textEditor.js';
 import { LanguageManager } from './languageManager.js';
 import { CommandProcessor } from './commandProcessor.js';
@@ -12,23 +12,111 @@ import { UIController } from './uiController.js';
 import { Transliteration } from './transliteration.js';
 import { TypingMode } from './typingMode.js';
 import { TextHelpers } from './textHelpers.js';
+import { DocumentStorage } from './documentStorage.js';
+import { DocumentLibrary } from './documentLibrary.js';
+import { LibrarySidebar } from './librarySidebar.js';
+import { DocumentExporter } from './documentExporter.js';
+import { DocumentImporter } from './documentImporter.js';
+import { downloadBlob, toFileName } from './fileUtils.js';
+import { VersionHistory } from './versionHistory.js';
+import { HistoryPanel, CURRENT_VERSION } from './historyPanel.js';
+import { diffWords } from './textDiff.js';
+import { CaptionExporter } from './captionExporter.js';
+import { CaptionSettingsDialog } from './captionSettingsDialog.js';
+import { PrintExporter } from './printExporter.js';
+import { PrintDialog } from './printDialog.js';
+import { TemplateLibrary } from './templateLibrary.js';
+import { TemplatePanel } from './templatePanel.js';
+import { SessionJournal } from './sessionJournal.js';
+import { RecoveryBanner } from './recoveryBanner.js';
+import { AlternativesPicker } from './alternativesPicker.js';
+import { ConfidenceMarker } from './confidenceMarker.js';
+import { AudioRecorder } from './audioRecorder.js';
+import { MicrophoneCapture } from './microphoneCapture.js';
+import { LevelMeter } from './levelMeter.js';
+import { AudioFileTranscriber } from './audioFileTranscriber.js';
+import { AudioImportBar } from './audioImportBar.js';
+import { RecordingLibrary } from './recordingLibrary.js';
+import { TranscriptPlayer } from './transcriptPlayer.js';
+import { LanguageDetector, AUTO_LANGUAGE } from './languageDetector.js';
+import { Vocabulary } from './vocabulary.js';
+import { VocabularyPanel } from './vocabularyPanel.js';
+import { MicrophoneMode, MIC_MODES } from './microphoneMode.js';
+
+// Delay before unsaved changes are written to storage (ms)
+const AUTOSAVE_DELAY = 1000;
+
+// Interval between automatic version snapshots (ms)
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+// Recordings shorter than this (e.g. an accidental start) are not kept (ms)
+const MIN_RECORDING_DURATION = 1000;
+
+// Phrase timing marks when the recogniser produced text, slightly after the
+// words were spoken, so phrase playback starts a little early (ms)
+const SLICE_LEAD_IN = 500;
+const SLICE_LEAD_OUT = 300;
+
+const UNSUPPORTED_MESSAGE = 'Speech recognition not supported in this browser. Please use Chrome or Edge.';
 
 class DictationApp {
     constructor() {
         // Initialize all modules
         this.ui = new UIController();
-        this.speechRecognition = new SpeechRecognition();
+        this.speechRecognition = createRecognitionEngine();
         this.textEditor = new TextEditor(this.ui.getEditor());
         this.languageManager = new LanguageManager();
+        this.languageDetector = new LanguageDetector(Object.keys(this.languageManager.getAllLanguages()));
         this.commandProcessor = new CommandProcessor();
         this.transliteration = new Transliteration();
         this.typingMode = new TypingMode(this.textEditor, this.transliteration);
         this.textHelpers = new TextHelpers(this.textEditor);
+        this.storage = new DocumentStorage();
+        this.library = new DocumentLibrary(this.storage);
+        this.librarySidebar = new LibrarySidebar();
+        this.exporter = new DocumentExporter(this.textEditor);
+        this.importer = new DocumentImporter();
+        this.versionHistory = new VersionHistory(this.storage);
+        this.historyPanel = new HistoryPanel();
+        this.captionSettings = new CaptionSettingsDialog();
+        this.printExporter = new PrintExporter();
+        this.printDialog = new PrintDialog();
+        this.templateLibrary = new TemplateLibrary(this.storage, this.importer);
+        this.templatePanel = new TemplatePanel();
+        this.journal = new SessionJournal();
+        this.recoveryBanner = new RecoveryBanner();
+        this.alternativesPicker = new AlternativesPicker();
+        this.confidenceMarker = new ConfidenceMarker(this.ui.getEditor());
+        this.microphone = new MicrophoneCapture();
+        this.recorder = new AudioRecorder(this.microphone);
+        this.levelMeter = new LevelMeter();
+        this.audioTranscriber = new AudioFileTranscriber(this.speechRecognition);
+        this.audioImportBar = new AudioImportBar();
+        this.recordings = new RecordingLibrary(this.storage);
+        this.player = new TranscriptPlayer();
+        this.vocabulary = new Vocabulary();
+        this.vocabularyPanel = new VocabularyPanel();
+        this.micMode = new MicrophoneMode();
 
         // Application state
         this.isListening = false;
         this.lastTranscript = '';
         this.currentMode = 'dictate'; // 'dictate' or 'type'
+        this.currentDocument = null;
+        this.lastSavedHTML = null;
+        this.saveTimeout = null;
+        this.isSaving = false;
+        this.hasPendingInterim = false;
+        this.discardNextFinal = false;
+        this.lastReconnect = null;
+        this.reconnectFailed = false;
+        this.activeRecording = null;
+        this.playingSegment = null;
+        this.resumeOnEnd = false;
+        this.audioImport = null;
+
+        // Formats applied to dictated text ("start bold" ... "stop bold")
+        this.dictationFormats = new Set();
 
         // Initialize app
         this.init();
@@ -38,21 +126,39 @@ class DictationApp {
      * Initialize application
      */
     init() {
-        // Check browser support
-        if (!SpeechRecognition.isSupported()) {
-            this.ui.showNotification('Speech recognition not supported in this browser. Please use Chrome or Edge.', 'error');
+        // Persistence works even without speech support
+        this.setupTextEditorCallbacks();
+        this.setupAutosave();
+        this.setupLibraryCallbacks();
+        this.setupVersionHistory();
+        this.setupTemplates();
+        this.setupRecovery();
+        this.setupAlternatives();
+        this.setupProofreading();
+        this.setupRecordings();
+        this.setupAudioImport();
+        this.setupAutoLanguage();
+        this.setupCommandLanguage();
+        this.setupVocabulary();
+        this.setupMicrophoneMode();
+        this.loadInitialDocument();
+
+        // Setup event handlers
+        this.setupEventHandlers();
+        this.setupLanguageManagerCallbacks();
+
+        // Typing, documents and export still work without a recognition engine
+        if (!this.speechRecognition.isSupported()) {
+            this.ui.showNotification(UNSUPPORTED_MESSAGE, 'error');
             this.ui.setStartButtonEnabled(false);
             return;
         }
 
-        // Setup event handlers
-        this.setupEventHandlers();
         this.setupSpeechRecognitionCallbacks();
-        this.setupTextEditorCallbacks();
-        this.setupLanguageManagerCallbacks();
 
         // Initial UI update
-        this.ui.updateStatus('Ready to start dictation', 'ready');
+        this.ui.setStartButtonEnabled(this.micMode.getMode() !== MIC_MODES.PUSH_TO_TALK);
+        this.ui.updateStatus(this.getReadyStatus(), 'ready');
         this.updateStats();
     }
 
@@ -63,11 +169,13 @@ class DictationApp {
         // Mode select
         document.getElementById('modeSelect')?.addEventListener('change', (e) => {
             this.switchMode(e.target.value);
+            this.scheduleAutosave(true);
         });
 
         // Typing language select
         document.getElementById('typingLanguageSelect')?.addEventListener('change', (e) => {
             this.typingMode.setLanguage(e.target.value);
+            this.scheduleAutosave(true);
         });
 
         // Convert button
@@ -88,6 +196,7 @@ class DictationApp {
         // Language select
         this.ui.getLanguageSelect()?.addEventListener('change', (e) => {
             this.changeLanguage(e.target.value);
+            this.scheduleAutosave(true);
         });
 
         // Clear button
@@ -100,6 +209,41 @@ class DictationApp {
             this.copyToClipboard();
         });
 
+        // Export menu
+        document.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.exportDocument(item.dataset.export);
+            });
+        });
+
+        document.getElementById('captionSettingsBtn')?.addEventListener('click', () => {
+            this.captionSettings.open();
+        });
+
+        // Print / PDF
+        document.getElementById('printBtn')?.addEventListener('click', () => {
+            this.printDialog.open();
+        });
+
+        this.printDialog.onPrint((settings) => {
+            this.printDocument(settings);
+        });
+
+        // Import button and file picker
+        const importInput = document.getElementById('importFileInput');
+        document.getElementById('importBtn')?.addEventListener('click', () => {
+            importInput?.click();
+        });
+        importInput?.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importFile(importInput.files[0]);
+            }
+            // Allow picking the same file again
+            importInput.value = '';
+        });
+
+        this.setupFileDrop();
+
         // Format buttons
         this.ui.getBoldButton()?.addEventListener('click', () => {
             this.textEditor.bold();
@@ -167,17 +311,45 @@ class DictationApp {
         // On recognition start
         this.speechRecognition.onStart(() => {
             this.isListening = true;
+            this.ui.updateReconnectCount(0);
             this.ui.updateStatus('Listening...', 'listening');
             this.ui.setStartButtonEnabled(false);
             this.ui.setStopButtonEnabled(true);
+            this.startMicrophone();
+            this.startRecording();
+
+            // Push-to-talk released before the engine got going
+            if (this.micMode.getMode() === MIC_MODES.PUSH_TO_TALK && !this.micMode.isHeld()) {
+                this.stopDictation();
+            }
         });
 
         // On recognition end
         this.speechRecognition.onEnd(() => {
             this.isListening = false;
-            this.ui.updateStatus('Ready to start dictation', 'ready');
-            this.ui.setStartButtonEnabled(true);
+            this.journal.clearInterim();
+
+            // A final for speech before a document switch can no longer arrive
+            this.discardNextFinal = false;
+            this.finishRecording();
+            this.stopMicrophone();
+            this.ui.updateReconnectCount(0);
+
+            // Keep a give-up message visible instead of looking like a normal stop
+            if (this.reconnectFailed) {
+                this.reconnectFailed = false;
+                this.ui.updateStatus('Stopped: could not reconnect', 'error');
+            } else {
+                this.ui.updateStatus(this.getReadyStatus(), 'ready');
+            }
+            this.ui.setStartButtonEnabled(this.micMode.getMode() !== MIC_MODES.PUSH_TO_TALK);
             this.ui.setStopButtonEnabled(false);
+
+            // Pressed again while the previous push-to-talk session was ending
+            if (this.resumeOnEnd) {
+                this.resumeOnEnd = false;
+                if (this.micMode.isHeld()) this.startDictation();
+            }
         });
 
         // On recognition result
@@ -189,6 +361,16 @@ class DictationApp {
         this.speechRecognition.onError((error) => {
             this.handleSpeechError(error);
         });
+
+        // Engine lost its session and is about to retry
+        this.speechRecognition.onReconnecting((info) => {
+            this.handleReconnecting(info);
+        });
+
+        // Microphone trouble spotted by the level meter (silence, clipping, quiet input)
+        this.levelMeter.onWarning((type, message) => {
+            this.ui.showNotification(message, 'warning');
+        });
     }
 
     /**
@@ -198,73 +380,1432 @@ class DictationApp {
         // Override content change callback
         this.textEditor.onContentChange = () => {
             this.updateStats();
+            this.updateProofreading();
+            this.scheduleAutosave();
+        };
+    }
+
+    /**
+     * Setup autosave guard against closing with unsaved changes
+     */
+    setupAutosave() {
+        if (!DocumentStorage.isSupported()) {
+            this.ui.updateSaveStatus('unavailable');
+            return;
+        }
+
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.hasPendingSave()) return;
+
+            // Try to flush, but still warn since the write may not finish
+            this.saveDocument();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+    }
+
+    /**
+     * Setup document library sidebar callbacks
+     */
+    setupLibraryCallbacks() {
+        this.librarySidebar.onOpen((id) => {
+            this.openDocument(id);
+        });
+
+        this.librarySidebar.onCreate(() => {
+            this.createDocument();
+        });
+
+        this.librarySidebar.onRename((id) => {
+            this.renameDocument(id);
+        });
+
+        this.librarySidebar.onDuplicate((id) => {
+            this.duplicateDocument(id);
+        });
+
+        this.librarySidebar.onDelete((id) => {
+            this.deleteDocument(id);
+        });
+
+        this.librarySidebar.onSearch(() => {
+            this.refreshLibrary();
+        });
+    }
+
+    /**
+     * Open the last used document, or create one on first run
+     */
+    async loadInitialDocument() {
+        if (!DocumentStorage.isSupported()) return;
+
+        try {
+            const documents = await this.library.list();
+            const lastId = this.library.getCurrentId();
+            const doc = documents.find(d => d.id === lastId) || documents[0];
+
+            if (doc) {
+                this.loadDocument(doc);
+            } else {
+                this.loadDocument(await this.library.create(this.getDocumentSettings()));
+            }
+
+            this.ui.updateSaveStatus('saved');
+            this.refreshLibrary();
+            this.offerRecovery();
+        } catch (error) {
+            console.error('[App] Failed to restore document:', error);
+            this.ui.updateSaveStatus('error');
+            if (error.name === 'BlockedError') {
+                this.ui.showNotification(`${error.message}, then reload this page`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Show a document in the editor and apply its settings
+     * @param {Object} doc - Document record
+     */
+    loadDocument(doc) {
+        this.currentDocument = doc;
+        this.library.setCurrentId(doc.id);
+
+        // Mark as saved first so loading itself is not re-saved
+        this.lastSavedHTML = doc.html;
+        this.textEditor.setHTML(doc.html);
+
+        this.applyDocumentSettings(doc);
+        this.librarySidebar.setActive(doc.id);
+        this.updateStats();
+
+        // A highlight saved mid-playback is not part of the document
+        this.ui.getEditor()?.querySelectorAll('.dictation-segment.playing').forEach(segment => {
+            segment.classList.remove('playing');
+        });
+        this.playingSegment = null;
+        this.refreshRecordings();
+    }
+
+    /**
+     * Apply a document's language and mode settings
+     * @param {Object} doc - Document record
+     */
+    applyDocumentSettings(doc) {
+        const modeSelect = document.getElementById('modeSelect');
+        const typingLanguageSelect = document.getElementById('typingLanguageSelect');
+        const languageSelect = this.ui.getLanguageSelect();
+
+        if (doc.dictationLanguage !== this.getDictationLanguage()) {
+            // Restarts recognition in the new language if currently listening
+            this.changeLanguage(doc.dictationLanguage);
+        }
+        if (languageSelect) languageSelect.value = doc.dictationLanguage;
+
+        if (doc.typingLanguage !== this.typingMode.getLanguage()) {
+            this.typingMode.setLanguage(doc.typingLanguage);
+        }
+        if (typingLanguageSelect) typingLanguageSelect.value = doc.typingLanguage;
+
+        if (doc.mode !== this.currentMode) {
+            this.switchMode(doc.mode);
+        }
+        if (modeSelect) modeSelect.value = doc.mode;
+    }
+
+    /**
+     * Get current language and mode settings for the open document
+     * @returns {Object} Document settings
+     */
+    getDocumentSettings() {
+        return {
+            dictationLanguage: this.getDictationLanguage(),
+            typingLanguage: this.typingMode.getLanguage(),
+            mode: this.currentMode
         };
     }
 
     /**
-     * Setup language manager callbacks
+     * Switch the editor to another document
+     * @param {string} id - Document id
+     */
+    async openDocument(id) {
+        if (this.currentDocument && this.currentDocument.id === id) return;
+
+        try {
+            // Persist the current document before leaving it
+            await this.saveDocument();
+
+            const doc = await this.library.get(id);
+            if (!doc) {
+                this.ui.showNotification('Document not found', 'error');
+                this.refreshLibrary();
+                return;
+            }
+
+            // Speech already in progress belongs to the previous document
+            this.ui.hideInterimPreview();
+            if (this.hasPendingInterim) {
+                this.discardNextFinal = true;
+                this.hasPendingInterim = false;
+            }
+
+            this.loadDocument(doc);
+            this.setDictationFormat('STOP_FORMATTING');
+            this.textEditor.focus();
+        } catch (error) {
+            console.error('[App] Failed to open document:', error);
+            this.ui.showNotification('Failed to open document', 'error');
+        }
+    }
+
+    /**
+     * Create a new empty document and open it
+     */
+    async createDocument() {
+        try {
+            const doc = await this.library.create(this.getDocumentSettings());
+            await this.openDocument(doc.id);
+            this.refreshLibrary();
+        } catch (error) {
+            console.error('[App] Failed to create document:', error);
+            this.ui.showNotification('Failed to create document', 'error');
+        }
+    }
+
+    /**
+     * Rename a document
+     * @param {string} id - Document id
+     */
+    async renameDocument(id) {
+        try {
+            const doc = await this.library.get(id);
+            if (!doc) return;
+
+            const title = this.ui.prompt('Document title:', doc.title);
+            if (title === null) return;
+
+            const renamed = await this.library.rename(id, title);
+            if (this.currentDocument && this.currentDocument.id === id) {
+                this.currentDocument.title = renamed.title;
+            }
+            this.refreshLibrary();
+        } catch (error) {
+            console.error('[App] Failed to rename document:', error);
+            this.ui.showNotification('Failed to rename document', 'error');
+        }
+    }
+
+    /**
+     * Duplicate a document and open the copy
+     * @param {string} id - Document id
+     */
+    async duplicateDocument(id) {
+        try {
+            // Copy what is on screen, not a stale save
+            if (this.currentDocument && this.currentDocument.id === id) {
+                await this.saveDocument();
+            }
+
+            const copy = await this.library.duplicate(id);
+            await this.openDocument(copy.id);
+            this.refreshLibrary();
+            this.ui.showNotification(`Created "${copy.title}"`, 'success');
+        } catch (error) {
+            console.error('[App] Failed to duplicate document:', error);
+            this.ui.showNotification('Failed to duplicate document', 'error');
+        }
+    }
+
+    /**
+     * Delete a document, opening another one if it was open
+     * @param {string} id - Document id
+     */
+    async deleteDocument(id) {
+        try {
+            const doc = await this.library.get(id);
+            if (!doc) return;
+
+            if (!this.ui.confirm(`Delete "${doc.title}"? This cannot be undone.`)) {
+                return;
+            }
+
+            await this.library.remove(id);
+            await this.versionHistory.removeAll(id);
+            await this.recordings.removeAll(id);
+
+            if (this.currentDocument && this.currentDocument.id === id) {
+                // Nothing left to save for the deleted document
+                clearTimeout(this.saveTimeout);
+                this.saveTimeout = null;
+                this.currentDocument = null;
+
+                const remaining = await this.library.list();
+                const next = remaining[0] || await this.library.create(this.getDocumentSettings());
+                await this.openDocument(next.id);
+            }
+
+            this.refreshLibrary();
+            this.ui.showNotification('Document deleted', 'info');
+        } catch (error) {
+            console.error('[App] Failed to delete document:', error);
+            this.ui.showNotification('Failed to delete document', 'error');
+        }
+    }
+
+    /**
+     * Re-render the library sidebar with the current search
+     */
+    async refreshLibrary() {
+        try {
+            const documents = await this.library.search(this.librarySidebar.getSearchQuery());
+            this.librarySidebar.render(documents);
+        } catch (error) {
+            console.error('[App] Failed to list documents:', error);
+        }
+    }
+
+    /**
+     * Setup version history dialog and periodic snapshots
+     */
+    setupVersionHistory() {
+        if (!DocumentStorage.isSupported()) return;
+
+        this.historyPanel.onOpen(() => {
+            this.refreshHistory();
+        });
+
+        this.historyPanel.onSave(() => {
+            this.saveNamedSnapshot();
+        });
+
+        this.historyPanel.onRestore((id) => {
+            this.restoreSnapshot(id);
+        });
+
+        this.historyPanel.onDelete((id) => {
+            this.deleteSnapshot(id);
+        });
+
+        this.historyPanel.onCompare((fromId, toId) => {
+            this.compareVersions(fromId, toId);
+        });
+
+        setInterval(() => {
+            this.takeSnapshot({ auto: true });
+        }, SNAPSHOT_INTERVAL);
+    }
+
+    /**
+     * Setup templates dialog callbacks
+     */
+    setupTemplates() {
+        if (!DocumentStorage.isSupported()) return;
+
+        this.templatePanel.onOpen(() => {
+            this.refreshTemplates();
+        });
+
+        this.templatePanel.onSave(() => {
+            this.saveAsTemplate();
+        });
+
+        this.templatePanel.onUse((id) => {
+            this.createFromTemplate(id);
+        });
+
+        this.templatePanel.onDelete((id) => {
+            this.deleteTemplate(id);
+        });
+
+        this.templatePanel.onExport(() => {
+            this.exportTemplates();
+        });
+
+        this.templatePanel.onImport((file) => {
+            this.importTemplates(file);
+        });
+    }
+
+    /**
+     * Re-render the templates dialog
+     */
+    async refreshTemplates() {
+        try {
+            this.templatePanel.render(await this.templateLibrary.list());
+        } catch (error) {
+            console.error('[App] Failed to list templates:', error);
+        }
+    }
+
+    /**
+     * Save the current document as a template
+     */
+    async saveAsTemplate() {
+        const name = this.ui.prompt('Template name:', this.currentDocument?.title || '');
+        if (name === null) return;
+
+        try {
+            await this.templateLibrary.create(name, this.textEditor.getHTML());
+            this.ui.showNotification('Template saved', 'success');
+            this.refreshTemplates();
+        } catch (error) {
+            console.error('[App] Failed to save template:', error);
+            this.ui.showNotification('Failed to save template', 'error');
+        }
+    }
+
+    /**
+     * Create a document from a template and select its first placeholder
+     * @param {string} id - Template id
+     */
+    async createFromTemplate(id) {
+        try {
+            const template = await this.templateLibrary.get(id);
+            if (!template) return;
+
+            const doc = await this.library.create({
+                ...this.getDocumentSettings(),
+                title: template.name,
+                html: TemplateLibrary.toEditorHTML(template.html)
+            });
+            await this.openDocument(doc.id);
+            this.refreshLibrary();
+            this.templatePanel.close();
+
+            if (!this.textEditor.selectNextPlaceholder()) {
+                this.textEditor.focus();
+            }
+        } catch (error) {
+            console.error('[App] Failed to create document from template:', error);
+            this.ui.showNotification('Failed to create document from template', 'error');
+        }
+    }
+
+    /**
+     * Delete a template
+     * @param {string} id - Template id
+     */
+    async deleteTemplate(id) {
+        try {
+            const template = await this.templateLibrary.get(id);
+            if (!template || !this.ui.confirm(`Delete template "${template.name}"?`)) return;
+
+            await this.templateLibrary.remove(id);
+            this.refreshTemplates();
+        } catch (error) {
+            console.error('[App] Failed to delete template:', error);
+            this.ui.showNotification('Failed to delete template', 'error');
+        }
+    }
+
+    /**
+     * Download all templates as JSON
+     */
+    async exportTemplates() {
+        try {
+            const json = await this.templateLibrary.exportJSON();
+            downloadBlob(new Blob([json], { type: 'application/json;charset=utf-8' }), 'voicescript-templates.json');
+        } catch (error) {
+            console.error('[App] Failed to export templates:', error);
+            this.ui.showNotification('Failed to export templates', 'error');
+        }
+    }
+
+    /**
+     * Add templates from an exported JSON file
+     * @param {File} file - JSON file
+     */
+    async importTemplates(file) {
+        try {
+            const count = await this.templateLibrary.importJSON(await file.text());
+            this.ui.showNotification(`Imported ${count} template${count === 1 ? '' : 's'}`, 'success');
+            this.refreshTemplates();
+        } catch (error) {
+            console.error('[App] Failed to import templates:', error);
+            this.ui.showNotification(`Template import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Snapshot the open document's current content
+     * @param {Object} options - { name, auto }
+     * @returns {Promise<Object|null>} Snapshot, or null if skipped
+     */
+    async takeSnapshot(options = {}) {
+        if (!DocumentStorage.isSupported() || !this.currentDocument) return null;
+
+        // Capture now: callers change the content right after calling this
+        const html = this.textEditor.getHTML();
+        if (options.auto && !this.textEditor.getText().trim()) return null;
+
+        try {
+            const snapshot = await this.versionHistory.create(this.currentDocument.id, html, options);
+            if (snapshot && this.historyPanel.isOpen()) {
+                this.refreshHistory();
+            }
+            return snapshot;
+        } catch (error) {
+            console.error('[App] Snapshot failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Re-render the history dialog for the open document
+     */
+    async refreshHistory() {
+        if (!this.currentDocument) return;
+
+        try {
+            this.historyPanel.render(await this.versionHistory.list(this.currentDocument.id));
+        } catch (error) {
+            console.error('[App] Failed to list snapshots:', error);
+        }
+    }
+
+    /**
+     * Ask for a name and save a manual snapshot
+     */
+    async saveNamedSnapshot() {
+        const name = this.ui.prompt('Snapshot name:', `Snapshot ${new Date().toLocaleString()}`);
+        if (name === null) return;
+
+        const snapshot = await this.takeSnapshot({ name: name.trim() });
+        if (snapshot) {
+            this.ui.showNotification('Snapshot saved', 'success');
+            this.refreshHistory();
+        } else {
+            this.ui.showNotification('Failed to save snapshot', 'error');
+        }
+    }
+
+    /**
+     * Replace the document with a snapshot
+     * @param {string} id - Snapshot id
+     */
+    async restoreSnapshot(id) {
+        if (!this.currentDocument) return;
+
+        try {
+            const snapshot = await this.versionHistory.get(id);
+            if (!snapshot) return;
+
+            const label = HistoryPanel.getLabel(snapshot);
+            if (!this.ui.confirm(`Restore "${label}" from ${new Date(snapshot.createdAt).toLocaleString()}? The current text is kept as a snapshot.`)) {
+                return;
+            }
+
+            // Not through takeSnapshot: if the current text cannot be kept, it must not be overwritten
+            if (this.textEditor.getText().trim()) {
+                await this.versionHistory.create(this.currentDocument.id, this.textEditor.getHTML(),
+                    { name: 'Before restore', auto: true });
+            }
+
+            this.textEditor.setHTML(snapshot.html);
+            this.ui.showNotification('Version restored', 'success');
+            this.refreshHistory();
+        } catch (error) {
+            console.error('[App] Failed to restore snapshot:', error);
+            this.ui.showNotification('Failed to restore version; the current text is unchanged', 'error');
+        }
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     */
+    async deleteSnapshot(id) {
+        if (!this.ui.confirm('Delete this snapshot?')) return;
+
+        try {
+            await this.versionHistory.remove(id);
+            this.refreshHistory();
+        } catch (error) {
+            console.error('[App] Failed to delete snapshot:', error);
+            this.ui.showNotification('Failed to delete snapshot', 'error');
+        }
+    }
+
+    /**
+     * Show a word-level diff between two versions
+     * @param {string} fromId - Snapshot id or CURRENT_VERSION
+     * @param {string} toId - Snapshot id or CURRENT_VERSION
+     */
+    async compareVersions(fromId, toId) {
+        try {
+            const [fromText, toText] = await Promise.all([
+                this.getVersionText(fromId),
+                this.getVersionText(toId)
+            ]);
+            this.historyPanel.showDiff(diffWords(fromText, toText));
+        } catch (error) {
+            console.error('[App] Failed to compare versions:', error);
+            this.ui.showNotification('Failed to compare versions', 'error');
+        }
+    }
+
+    /**
+     * Get plain text of a version
+     * @param {string} id - Snapshot id or CURRENT_VERSION
+     * @returns {Promise<string>} Plain text
+     */
+    async getVersionText(id) {
+        if (id === CURRENT_VERSION) {
+            return this.exporter.toPlainText();
+        }
+
+        const snapshot = await this.versionHistory.get(id);
+        const container = document.createElement('div');
+        container.innerHTML = snapshot ? snapshot.html : '';
+        return this.exporter.toPlainText(container);
+    }
+
+    /**
+     * Debounce a save after content changes
+     * @param {boolean} force - Save even if the HTML is unchanged (settings changed)
+     */
+    scheduleAutosave(force = false) {
+        if (!DocumentStorage.isSupported() || !this.currentDocument) return;
+
+        if (!force && this.textEditor.getHTML() === this.lastSavedHTML) {
+            return;
+        }
+
+        if (force) {
+            // Makes the next save write even though the HTML matches
+            this.lastSavedHTML = null;
+        }
+
+        this.ui.updateSaveStatus('unsaved');
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => {
+            this.saveDocument();
+        }, AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Save editor content and settings to the open document
+     */
+    async saveDocument() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        const html = this.textEditor.getHTML();
+        if (!this.currentDocument) {
+            return;
+        }
+
+        // Journal entries up to here are part of this content
+        const documentId = this.currentDocument.id;
+        const journalSequence = this.journal.getLastSequence();
+
+        if (html === this.lastSavedHTML) {
+            this.journal.markSaved(documentId, journalSequence);
+            return;
+        }
+
+        this.isSaving = true;
+        this.ui.updateSaveStatus('saving');
+
+        try {
+            this.currentDocument = {
+                ...this.currentDocument,
+                ...this.getDocumentSettings(),
+                html: html
+            };
+            await this.storage.saveDocument(this.currentDocument);
+            this.lastSavedHTML = html;
+            this.journal.markSaved(documentId, journalSequence);
+
+            // More edits may have arrived while writing
+            this.ui.updateSaveStatus(this.textEditor.getHTML() === html ? 'saved' : 'unsaved');
+
+            if (this.librarySidebar.isVisible()) {
+                this.refreshLibrary();
+            }
+        } catch (error) {
+            console.error('[App] Autosave failed:', error);
+            this.ui.updateSaveStatus('error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Check if there are changes not yet written to storage
+     * @returns {boolean}
+     */
+    hasPendingSave() {
+        // A failed save leaves the content different from the last one written
+        const unsaved = !!this.currentDocument && this.textEditor.getHTML() !== this.lastSavedHTML;
+        return this.isSaving || this.saveTimeout !== null || unsaved;
+    }
+
+    /**
+     * Setup language manager callbacks
+     */
+    setupLanguageManagerCallbacks() {
+        this.languageManager.onLanguageChange((data) => {
+            if (this.languageDetector.isEnabled()) {
+                this.ui.updateLanguageDisplay(`Auto · ${data.language.name}`);
+                this.ui.showNotification(`Listening for ${data.language.name}`, 'success');
+                return;
+            }
+
+            this.ui.updateLanguageDisplay(data.language.name);
+            this.ui.showNotification(`Language changed to ${data.language.name}`, 'success');
+        });
+    }
+
+    /**
+     * Handle speech recognition results
+     * @param {Object} result - Recognition result
+     */
+    handleSpeechResult(result) {
+        // Show interim results in preview
+        if (!result.isFinal && result.interim) {
+            this.hasPendingInterim = true;
+            if (this.currentDocument) {
+                this.journal.setInterim(this.currentDocument.id, result.interim);
+            }
+            this.ui.showInterimPreview(result.interim);
+            this.ui.updateStatus('Detecting speech...', 'detecting');
+            return;
+        }
+
+        // Hide interim preview when final result comes
+        this.ui.hideInterimPreview();
+        this.hasPendingInterim = false;
+
+        // Speech started before a document switch is dropped
+        if (this.discardNextFinal) {
+            this.discardNextFinal = false;
+            this.journal.clearInterim();
+            this.ui.updateStatus('Listening...', 'listening');
+            return;
+        }
+        this.ui.updateStatus('Processing text...', 'processing');
+
+        const transcript = result.final.trim();
+
+        // "two", "option two" or "cancel" while the alternatives popup is open
+        if (this.alternativesPicker.isOpen() && this.handleSpokenChoice(transcript)) {
+            this.ui.updateStatus('Listening...', 'listening');
+            return;
+        }
+
+        if (!transcript) {
+            // No speech detected warning
+            this.ui.updateStatus('No speech detected', 'error');
+            this.ui.showNotification('⚠️ No speech detected. Please speak clearly.', 'warning');
+            
+            // Reset to listening after 2 seconds
+            setTimeout(() => {
+                if (this.isListening) {
+                    this.ui.updateStatus('Listening...', 'listening');
+                }
+            }, 2000);
+            return;
+        }
+
+        // Split the transcript into text runs and commands, applied in the order spoken
+        let parts = this.commandProcessor.parse(transcript);
+
+        // "Remove the word processing" was dictation if there is no "processing" to remove
+        if (parts.length === 1 && parts[0].commandType === 'RANGE' && parts[0].args.target
+            && !this.textEditor.findRange(parts[0].args)) {
+            parts = [{ type: 'text', text: transcript, source: transcript }];
+        }
+
+        const languageCode = this.languageManager.getLanguageCode();
+
+        // Correct custom vocabulary in the text runs
+        parts.forEach(part => {
+            if (part.type === 'text') part.text = this.vocabulary.apply(part.text, languageCode);
+        });
+
+        // Alternatives are whole transcripts, so they only fit a phrase without commands
+        const plainText = this.commandProcessor.isPlainText(parts);
+
+        // Auto-detect: tag the phrase with its language and follow the speaker
+        const spokenText = parts.filter(part => part.type === 'text').map(part => part.text).join(' ');
+        const detection = spokenText && this.languageDetector.isEnabled()
+            ? this.languageDetector.analyze(spokenText, result.confidence, languageCode)
+            : null;
+        const language = detection?.language ? detection.language.split('-')[0] : null;
+
+        let entry;
+
+        parts.forEach(part => {
+            // Journal first: it is written synchronously, before the editor changes
+            if (part.type === 'command') {
+                entry = this.recordTranscript(part.source, {
+                    type: 'command',
+                    commandType: part.commandType,
+                    command: part.command,
+                    text: part.text,
+                    args: part.args
+                });
+                this.executeCommand(part);
+                return;
+            }
+
+            // Regular text - apply auto-capitalization and spacing based on the text around the cursor
+            const currentText = this.textEditor.getTextBeforeCaret();
+            const textToInsert = this.commandProcessor.autoCapitalize(part.text, currentText,
+                this.textEditor.getTextAfterCaret());
+            const alternatives = plainText
+                ? this.prepareAlternatives(textToInsert, result.alternatives, currentText)
+                : [];
+            const formats = [...this.dictationFormats];
+
+            entry = this.recordTranscript(part.source, {
+                type: 'text',
+                text: textToInsert,
+                timing: result.timing,
+                alternatives: alternatives,
+                confidence: result.confidence,
+                language: language,
+                formats: formats
+            });
+
+            if (result.timing) {
+                const segment = this.textEditor.insertDictatedText(textToInsert, result.timing, {
+                    alternatives,
+                    confidence: result.confidence,
+                    recording: this.getActiveRecordingId(),
+                    language,
+                    formats
+                });
+                if (segment) this.confidenceMarker.mark(segment);
+            } else {
+                this.textEditor.insertText(textToInsert, formats);
+            }
+        });
+
+        // No visible change (e.g. "undo" with nothing to undo): nothing to lose
+        if (entry && this.textEditor.getHTML() === this.lastSavedHTML) {
+            this.journal.markSaved(entry.documentId, entry.seq);
+        }
+
+        this.lastTranscript = transcript;
+        // Keep the cursor where the text went (e.g. inside a filled template)
+        this.textEditor.focus(true);
+
+        if (detection?.switchTo) {
+            this.setRecognitionLanguage(detection.switchTo);
+        }
+        
+        // Show success and return to listening
+        this.ui.updateStatus('Text added ✓', 'listening');
+        setTimeout(() => {
+            if (this.isListening) {
+                this.ui.updateStatus('Listening...', 'listening');
+            }
+        }, 1000);
+    }
+
+    /**
+     * Turn the recogniser's alternatives into text as it would be inserted
+     * @param {string} text - Text being inserted (best transcript)
+     * @param {Array<string>} alternatives - Raw alternative transcripts, best first
+     * @param {string} previousText - Text before the cursor, for capitalization
+     * @returns {Array<string>} Alternatives starting with text, or [] if there is no real choice
+     */
+    prepareAlternatives(text, alternatives, previousText) {
+        const prepared = [text.trim()];
+
+        (alternatives || []).forEach(alternative => {
+            const parts = this.commandProcessor.parse(alternative);
+            if (!this.commandProcessor.isPlainText(parts)) return;
+
+            const corrected = this.vocabulary.apply(parts[0].text, this.languageManager.getLanguageCode());
+            const candidate = this.commandProcessor.autoCapitalize(corrected, previousText).trim();
+            if (!prepared.includes(candidate)) prepared.push(candidate);
+        });
+
+        return prepared.length > 1 ? prepared : [];
+    }
+
+    /**
+     * Setup the alternatives popup for correcting dictated phrases
+     */
+    setupAlternatives() {
+        // Clicking a phrase (without selecting text) offers its alternatives
+        this.ui.getEditor()?.addEventListener('click', (e) => {
+            const segment = e.target.closest?.('.dictation-segment[data-alternatives]');
+            if (!segment || !window.getSelection().isCollapsed) return;
+            this.showAlternatives(segment);
+        });
+
+        this.alternativesPicker.onPick((segment, text) => {
+            this.applyAlternative(segment, text);
+        });
+    }
+
+    /**
+     * Open the alternatives popup for a dictated phrase
+     * @param {HTMLElement} segment - Segment element
+     * @returns {boolean} True if the phrase had alternatives
+     */
+    showAlternatives(segment) {
+        const alternatives = this.textEditor.getSegmentAlternatives(segment);
+        if (alternatives.length < 2) return false;
+
+        this.alternativesPicker.open(segment, alternatives, segment.textContent);
+        return true;
+    }
+
+    /**
+     * Offer alternatives for the most recent dictated phrase ("correct that")
+     */
+    correctLastPhrase() {
+        const segment = this.textEditor.getSegmentBeforeCaret();
+        if (!segment || !this.showAlternatives(segment)) {
+            this.ui.showNotification('No alternatives for the last phrase', 'info');
+            return;
+        }
+
+        segment.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Replace a dictated phrase with the chosen alternative
+     * @param {HTMLElement} segment - Segment element
+     * @param {string} text - Chosen alternative
+     */
+    applyAlternative(segment, text) {
+        // The phrase may have been deleted or the document switched meanwhile
+        if (!this.ui.getEditor()?.contains(segment)) return;
+        if (segment.textContent === text) return;
+
+        this.textEditor.replaceSegmentText(segment, text);
+        this.confidenceMarker.accept(segment);
+        this.textEditor.focus(true);
+    }
+
+    /**
+     * Apply a spoken choice to the open alternatives popup
+     * @param {string} transcript - Final transcript
+     * @returns {boolean} True if the transcript was a choice and has been handled
+     */
+    handleSpokenChoice(transcript) {
+        const choice = AlternativesPicker.parseChoice(transcript);
+        if (choice === null) return false;
+
+        if (choice === 'cancel') {
+            this.alternativesPicker.close();
+            return true;
+        }
+
+        return this.alternativesPicker.pick(choice);
+    }
+
+    /**
+     * Setup proofreading controls for low-confidence phrases
+     */
+    setupProofreading() {
+        document.getElementById('nextUncertainBtn')?.addEventListener('click', () => {
+            this.selectNextUncertain();
+        });
+
+        const thresholdSelect = document.getElementById('confidenceThreshold');
+        if (thresholdSelect) {
+            // Keep a stored value the list doesn't offer selectable
+            const stored = String(this.confidenceMarker.getThreshold());
+            if (![...thresholdSelect.options].some(option => option.value === stored)) {
+                thresholdSelect.add(new Option(`${Math.round(stored * 100)}%`, stored));
+            }
+            thresholdSelect.value = stored;
+
+            thresholdSelect.addEventListener('change', (e) => {
+                this.confidenceMarker.setThreshold(e.target.value);
+                this.updateProofreading();
+            });
+        }
+
+        this.updateProofreading();
+    }
+
+    /**
+     * Re-apply uncertainty marks (e.g. after loading a document) and update the count
+     */
+    updateProofreading() {
+        this.confidenceMarker.refresh();
+        this.ui.updateUncertainCount(this.confidenceMarker.getUncertain().length);
+    }
+
+    /**
+     * Select the next (or previous) uncertain phrase for proofreading
+     * @param {boolean} backwards - Search backwards
+     */
+    selectNextUncertain(backwards = false) {
+        if (!this.confidenceMarker.selectNext(backwards)) {
+            this.ui.showNotification('No uncertain phrases', 'success');
+        }
+    }
+
+    /**
+     * Accept the uncertain phrase at the cursor as correct and move to the next one
+     */
+    acceptUncertainPhrase() {
+        const segment = this.confidenceMarker.getUncertainAtCaret();
+        if (segment) {
+            this.confidenceMarker.accept(segment);
+            this.updateProofreading();
+        }
+
+        this.selectNextUncertain();
+    }
+
+    /**
+     * Setup audio recording of dictation sessions and phrase playback
+     */
+    setupRecordings() {
+        const toggle = document.getElementById('recordAudioToggle');
+        if (!AudioRecorder.isSupported() || !DocumentStorage.isSupported()) {
+            toggle?.closest('.record-toggle')?.setAttribute('hidden', '');
+            return;
+        }
+
+        if (toggle) {
+            toggle.checked = this.recorder.isEnabled();
+            toggle.addEventListener('change', (e) => {
+                this.recorder.setEnabled(e.target.checked);
+            });
+        }
+
+        // Clicking a phrase (without selecting text) plays what was said
+        this.ui.getEditor()?.addEventListener('click', (e) => {
+            const segment = e.target.closest?.('.dictation-segment[data-recording]');
+            if (!segment || !window.getSelection().isCollapsed) return;
+            this.playSegment(segment);
+        });
+
+        this.player.onTimeUpdate((recordingId, time) => {
+            this.highlightPlayingSegment(recordingId, time);
+        });
+
+        this.player.onDelete((id) => {
+            this.deleteRecording(id);
+        });
+
+        this.recorder.onLimit(() => {
+            this.ui.showNotification('Recording limit reached; dictation continues without audio', 'warning');
+        });
+    }
+
+    /**
+     * Show the open document's recordings in the transport bar
+     */
+    async refreshRecordings() {
+        if (!DocumentStorage.isSupported() || !this.currentDocument) return;
+
+        const documentId = this.currentDocument.id;
+        try {
+            const recordings = await this.recordings.list(documentId);
+
+            // Another document may have been opened meanwhile
+            if (this.currentDocument?.id === documentId) {
+                this.player.setRecordings(recordings);
+            }
+        } catch (error) {
+            console.error('[App] Failed to list recordings:', error);
+        }
+    }
+
+    /**
+     * Start recording the microphone for a new dictation session
+     */
+    async startRecording() {
+        // Internal restarts report a start again; the session is already recorded
+        if (this.activeRecording || !this.currentDocument || !this.recorder.isEnabled()) return;
+        if (!AudioRecorder.isSupported() || !DocumentStorage.isSupported()) return;
+
+        const session = {
+            id: this.recordings.createId(this.currentDocument.id),
+            documentId: this.currentDocument.id,
+            sessionStart: this.speechRecognition.sessionStartTime
+        };
+        this.activeRecording = session;
+
+        // The microphone would pick up playback
+        this.player.pause();
+
+        try {
+            await this.recorder.start();
+        } catch (error) {
+            console.error('[App] Audio recording unavailable:', error);
+            if (this.activeRecording === session) this.activeRecording = null;
+            this.ui.showNotification('Audio recording unavailable; dictating without it', 'warning');
+        }
+    }
+
+    /**
+     * Open the microphone for the level meter (and the recorder) during dictation
+     */
+    async startMicrophone() {
+        // Internal restarts report a start again; the microphone is already open
+        if (!MicrophoneCapture.isSupported() || this.microphone.isActive()) return;
+
+        try {
+            await this.microphone.start();
+        } catch (error) {
+            console.error('[App] Microphone level unavailable:', error);
+            return;
+        }
+
+        // Dictation may have ended during the permission prompt
+        if (this.isListening && this.microphone.isActive()) {
+            this.levelMeter.attach(this.microphone.getAnalyser());
+        }
+    }
+
+    /**
+     * Close the microphone once the session's recording has been taken
+     */
+    stopMicrophone() {
+        this.levelMeter.detach();
+        this.microphone.stop();
+    }
+
+    /**
+     * Stop recording and store the audio with its document
+     */
+    async finishRecording() {
+        const session = this.activeRecording;
+        if (!session) return;
+        this.activeRecording = null;
+
+        const audio = this.recorder.stop();
+        if (!audio || audio.duration < MIN_RECORDING_DURATION) return;
+
+        try {
+            await this.recordings.create(session.id, session.documentId, {
+                blob: audio.blob,
+                duration: audio.duration,
+                offset: audio.startedAt - session.sessionStart
+            });
+            this.refreshRecordings();
+        } catch (error) {
+            console.error('[App] Failed to save recording:', error);
+            this.ui.showNotification('Failed to save the recording', 'error');
+        }
+    }
+
+    /**
+     * Get the recording new dictated phrases belong to
+     * @returns {string|null} Recording id, or null when not recording the open document
+     */
+    getActiveRecordingId() {
+        if (this.audioImport) return this.audioImport.recordingId;
+
+        const session = this.activeRecording;
+        if (!session || !this.recorder.isRecording()) return null;
+        return this.currentDocument?.id === session.documentId ? session.id : null;
+    }
+
+    /**
+     * Play the audio behind a dictated phrase
+     * @param {HTMLElement} segment - Segment element
+     */
+    async playSegment(segment) {
+        // Playback during dictation would be dictated again
+        if (this.isListening) return;
+
+        const id = segment.dataset.recording;
+        const loaded = this.player.getRecording();
+
+        try {
+            const recording = loaded && loaded.id === id ? loaded : await this.recordings.get(id);
+            if (!recording) {
+                this.ui.showNotification('The recording of this phrase was deleted', 'info');
+                return;
+            }
+
+            const start = Number(segment.dataset.start) - recording.offset;
+            const end = Number(segment.dataset.end) - recording.offset;
+            this.player.playRange(recording, start - SLICE_LEAD_IN, end + SLICE_LEAD_OUT);
+        } catch (error) {
+            console.error('[App] Failed to play phrase:', error);
+            this.ui.showNotification('Failed to play the recording', 'error');
+        }
+    }
+
+    /**
+     * Highlight the phrase being played
+     * @param {string|null} recordingId - Recording playing
+     * @param {number|null} time - Position in the recording (ms), or null when paused
+     */
+    highlightPlayingSegment(recordingId, time) {
+        let segment = null;
+        const recording = this.player.getRecording();
+
+        if (recordingId && time !== null && recording) {
+            // Phrase timing counts from the session start, not the recording start
+            const sessionTime = time + recording.offset;
+            const segments = Array.from(this.ui.getEditor().querySelectorAll('.dictation-segment[data-recording]'))
+                .filter(element => element.dataset.recording === recordingId);
+
+            // Lead-in margins overlap the previous phrase; the later phrase wins
+            const candidates = segments.filter(element => sessionTime >= Number(element.dataset.start) - SLICE_LEAD_IN &&
+                sessionTime <= Number(element.dataset.end) + SLICE_LEAD_OUT);
+            segment = candidates[candidates.length - 1] || null;
+        }
+
+        if (segment === this.playingSegment) return;
+
+        this.playingSegment?.classList.remove('playing');
+        segment?.classList.add('playing');
+        this.playingSegment = segment;
+    }
+
+    /**
+     * Delete a recording; its phrases keep their text but can no longer be played
+     * @param {string} id - Recording id
+     */
+    async deleteRecording(id) {
+        if (!this.ui.confirm('Delete this recording? The dictated text stays, but its audio is gone for good.')) {
+            return;
+        }
+
+        try {
+            await this.recordings.remove(id);
+
+            const linked = Array.from(this.ui.getEditor().querySelectorAll('.dictation-segment[data-recording]'))
+                .filter(segment => segment.dataset.recording === id);
+            linked.forEach(segment => {
+                delete segment.dataset.recording;
+            });
+
+            // Attribute changes are not observed, so save explicitly
+            if (linked.length > 0) this.scheduleAutosave();
+
+            await this.refreshRecordings();
+            this.ui.showNotification('Recording deleted', 'info');
+        } catch (error) {
+            console.error('[App] Failed to delete recording:', error);
+            this.ui.showNotification('Failed to delete recording', 'error');
+        }
+    }
+
+    /**
+     * Setup the choice of languages auto-detect switches among
+     */
+    setupAutoLanguage() {
+        const container = document.getElementById('autoLanguageSet');
+        if (!container) return;
+
+        const checkboxes = Array.from(container.querySelectorAll('input[type="checkbox"]'));
+        const chosen = this.languageDetector.getLanguages();
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = chosen.includes(checkbox.value);
+        });
+
+        container.addEventListener('change', (e) => {
+            const languages = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+            if (!this.languageDetector.setLanguages(languages)) {
+                // At least one language stays chosen
+                e.target.checked = true;
+                return;
+            }
+
+            // Stop listening for a language that was just unticked
+            const current = this.languageManager.getLanguageCode();
+            const next = this.languageDetector.getStartLanguage(current);
+            if (this.languageDetector.isEnabled() && next !== current) {
+                this.setRecognitionLanguage(next);
+            }
+        });
+    }
+
+    /**
+     * Follow the dictation language with the voice commands, and setup the
+     * "English commands too" toggle
+     */
+    setupCommandLanguage() {
+        this.commandProcessor.setLanguage(this.languageManager.getLanguageCode());
+
+        const toggle = document.getElementById('englishCommandsToggle');
+        if (toggle) {
+            toggle.checked = this.commandProcessor.isEnglishFallback();
+            toggle.addEventListener('change', (e) => {
+                this.commandProcessor.setEnglishFallback(e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * Setup the vocabulary dialog and pass the terms to the engine
+     */
+    setupVocabulary() {
+        this.vocabularyPanel.onOpen(() => {
+            this.vocabularyPanel.render(this.vocabulary.list());
+        });
+
+        this.vocabularyPanel.onAdd((fields) => {
+            this.vocabulary.add(fields);
+            this.vocabularyPanel.render(this.vocabulary.list());
+            this.updateVocabularyHints();
+        });
+
+        this.vocabularyPanel.onDelete((id) => {
+            this.vocabulary.remove(id);
+            this.vocabularyPanel.render(this.vocabulary.list());
+            this.updateVocabularyHints();
+        });
+
+        this.updateVocabularyHints();
+    }
+
+    /**
+     * Give the engine the terms for the language it listens in
+     */
+    updateVocabularyHints() {
+        this.speechRecognition.setVocabulary(this.vocabulary.getHints(this.languageManager.getLanguageCode()));
+    }
+
+    /**
+     * Get the dictation language setting of the open document
+     * @returns {string} Language code, or AUTO_LANGUAGE for auto-detect
+     */
+    getDictationLanguage() {
+        return this.languageDetector.isEnabled() ? AUTO_LANGUAGE : this.languageManager.getLanguageCode();
+    }
+
+    /**
+     * Add a processed transcript to the session journal
+     * @param {string} transcript - Final transcript
+     * @param {Object} details - { type, text, commandType, command, args, timing, alternatives, confidence, language, formats }
+     * @returns {Object|null} Journal entry
+     */
+    recordTranscript(transcript, details) {
+        if (!DocumentStorage.isSupported() || !this.currentDocument) return null;
+
+        return this.journal.record({
+            documentId: this.currentDocument.id,
+            transcript: transcript,
+            ...details
+        });
+    }
+
+    /**
+     * Setup recovery banner callbacks
+     */
+    setupRecovery() {
+        this.recoveryBanner.onRecover(() => {
+            this.recoverSession();
+        });
+
+        this.recoveryBanner.onDismiss(() => {
+            this.journal.discardUnsaved();
+        });
+    }
+
+    /**
+     * Offer to recover dictation that was never saved (tab crashed or reloaded)
+     */
+    offerRecovery() {
+        if (!this.journal.hasUnsaved()) return;
+
+        this.recoveryBanner.showOffer(this.describeJournalEntries(this.getUnsavedJournalEntries()));
+    }
+
+    /**
+     * Get unsaved journal entries, with the unfinished phrase (if any) last
+     * @returns {Array} Entries
      */
-    setupLanguageManagerCallbacks() {
-        this.languageManager.onLanguageChange((data) => {
-            this.ui.updateLanguageDisplay(data.language.name);
-            this.ui.showNotification(`Language changed to ${data.language.name}`, 'success');
-        });
+    getUnsavedJournalEntries() {
+        const { entries, interim } = this.journal.getUnsaved();
+        if (!interim) return entries;
+
+        return [...entries, {
+            documentId: interim.documentId,
+            transcript: interim.text,
+            type: 'interim'
+        }];
     }
 
     /**
-     * Handle speech recognition results
-     * @param {Object} result - Recognition result
+     * Replay unsaved journal entries into their documents
      */
-    handleSpeechResult(result) {
-        // Show interim results in preview
-        if (!result.isFinal && result.interim) {
-            this.ui.showInterimPreview(result.interim);
-            this.ui.updateStatus('Detecting speech...', 'detecting');
-            return;
-        }
+    async recoverSession() {
+        const entries = this.getUnsavedJournalEntries();
+        const recovered = [];
 
-        // Hide interim preview when final result comes
-        this.ui.hideInterimPreview();
-        this.ui.updateStatus('Processing text...', 'processing');
+        try {
+            for (const documentId of new Set(entries.map(entry => entry.documentId))) {
+                if (!(await this.library.get(documentId))) continue;
 
-        const transcript = result.final.trim();
-        if (!transcript) {
-            // No speech detected warning
-            this.ui.updateStatus('No speech detected', 'error');
-            this.ui.showNotification('⚠️ No speech detected. Please speak clearly.', 'warning');
-            
-            // Reset to listening after 2 seconds
-            setTimeout(() => {
-                if (this.isListening) {
-                    this.ui.updateStatus('Listening...', 'listening');
-                }
-            }, 2000);
-            return;
+                await this.openDocument(documentId);
+
+                // Cursor positions are not journaled; replay at the end
+                this.textEditor.focus();
+                entries.filter(entry => entry.documentId === documentId).forEach(entry => {
+                    this.replayJournalEntry(entry);
+                    recovered.push(entry);
+                });
+
+                await this.saveDocument();
+            }
+
+            this.journal.discardUnsaved();
+            this.recoveryBanner.showRecovered(this.describeJournalEntries(recovered));
+            this.refreshLibrary();
+        } catch (error) {
+            console.error('[App] Recovery failed:', error);
+            this.ui.showNotification('Failed to recover session', 'error');
         }
+    }
 
-        // Process the transcript through command processor
-        const processed = this.commandProcessor.process(transcript);
+    /**
+     * Apply one journal entry to the editor
+     * @param {Object} entry - Journal entry
+     */
+    replayJournalEntry(entry) {
+        // Text entries carry their own formatting; a format mode would outlast the recovery
+        if (entry.type === 'command' && entry.commandType === 'FORMAT_MODE') return;
+
+        if (entry.type === 'command') {
+            this.executeCommand({
+                commandType: entry.commandType,
+                command: entry.command,
+                text: entry.text,
+                args: entry.args
+            });
+            return;
+        }
 
-        if (processed.hasCommand) {
-            this.executeCommand(processed);
+        const text = entry.type === 'interim'
+            ? this.commandProcessor.autoCapitalize(entry.transcript, this.textEditor.getTextBeforeCaret(),
+                this.textEditor.getTextAfterCaret())
+            : entry.text;
+
+        if (entry.timing) {
+            const segment = this.textEditor.insertDictatedText(text, entry.timing, {
+                alternatives: entry.alternatives,
+                confidence: entry.confidence,
+                language: entry.language,
+                formats: entry.formats
+            });
+            if (segment) this.confidenceMarker.mark(segment);
         } else {
-            // Regular text - apply auto-capitalization
-            const currentText = this.textEditor.getText();
-            let textToInsert = this.commandProcessor.autoCapitalize(processed.text, currentText);
-            
-            this.textEditor.insertText(textToInsert);
+            this.textEditor.insertText(text, entry.formats);
         }
+    }
 
-        this.lastTranscript = transcript;
-        this.textEditor.focus();
-        
-        // Show success and return to listening
-        this.ui.updateStatus('Text added ✓', 'listening');
-        setTimeout(() => {
-            if (this.isListening) {
-                this.ui.updateStatus('Listening...', 'listening');
-            }
-        }, 1000);
+    /**
+     * Describe journal entries for the recovery banner
+     * @param {Array} entries - Journal entries
+     * @returns {Array} Items: { label, detail }
+     */
+    describeJournalEntries(entries) {
+        const labels = { text: 'Text', command: 'Command', interim: 'Unfinished' };
+
+        return entries.map(entry => ({
+            label: labels[entry.type] || entry.type,
+            detail: entry.type === 'text' ? entry.text.trim() : `"${entry.transcript}"`
+        }));
     }
 
     /**
@@ -274,7 +1815,8 @@ class DictationApp {
     executeCommand(commandData) {
         switch (commandData.commandType) {
             case 'PUNCTUATION':
-                this.textEditor.insertText(commandData.text);
+                this.textEditor.insertText(this.commandProcessor.spacePunctuation(
+                    commandData.text, this.textEditor.getTextBeforeCaret()));
                 break;
 
             case 'NAVIGATION':
@@ -282,24 +1824,121 @@ class DictationApp {
                     this.textEditor.insertNewLine();
                 } else if (commandData.command === 'NEW_PARAGRAPH') {
                     this.textEditor.insertParagraph();
+                } else if (commandData.command === 'NEXT_PLACEHOLDER') {
+                    this.textEditor.selectNextPlaceholder();
                 }
                 break;
 
             case 'EDITING':
                 if (commandData.command === 'DELETE_SENTENCE') {
+                    // Rewrites the whole text, so keep a way back
+                    this.takeSnapshot({ name: 'Before "delete that"', auto: true });
                     this.textEditor.deleteLastSentence();
                 } else if (commandData.command === 'UNDO') {
                     this.textEditor.undo();
                 } else if (commandData.command === 'REDO') {
                     this.textEditor.redo();
+                } else if (commandData.command === 'CORRECT_THAT') {
+                    this.correctLastPhrase();
+                }
+                break;
+
+            case 'CURSOR':
+                if (!this.textEditor.moveCursor(commandData.command)) {
+                    const missing = {
+                        LINE_UP: 'No line above the cursor',
+                        LINE_DOWN: 'No line below the cursor',
+                        NEXT_PARAGRAPH: 'No next paragraph',
+                        PREVIOUS_PARAGRAPH: 'No previous paragraph',
+                        SELECT_LINE: 'No line to select',
+                        SELECT_PARAGRAPH: 'No paragraph to select'
+                    };
+                    this.ui.showNotification(missing[commandData.command] || 'Cannot move the cursor there', 'warning');
+                }
+                break;
+
+            case 'RANGE':
+                this.executeRangeCommand(commandData.command, commandData.args);
+                break;
+
+            case 'FORMATTING':
+                if (!this.textEditor.formatSelectionOrLastPhrase(commandData.command.toLowerCase())) {
+                    this.ui.showNotification('Nothing to format: select text or dictate a phrase first', 'info');
                 }
                 break;
 
+            case 'FORMAT_MODE':
+                this.setDictationFormat(commandData.command);
+                break;
+
             default:
                 console.warn('Unknown command type:', commandData.commandType);
         }
     }
 
+    /**
+     * Select, delete, capitalize or move over text relative to the cursor
+     * @param {string} command - SELECT, DELETE, CAPITALIZE, MOVE, BOLD, ITALIC or UNDERLINE
+     * @param {Object} args - { unit, count, direction } or { target }
+     */
+    executeRangeCommand(command, args) {
+        const found = this.textEditor.findRange(args);
+        if (!found) {
+            this.ui.showNotification(args.target
+                ? `"${args.target}" is not in the document`
+                : `No ${args.unit} ${args.direction === 'forward' ? 'after' : 'before'} the cursor`, 'warning');
+            return;
+        }
+
+        switch (command) {
+            case 'SELECT':
+                this.textEditor.selectRange(found);
+                break;
+            case 'DELETE':
+                this.textEditor.deleteRange(found);
+                break;
+            case 'CAPITALIZE':
+                this.textEditor.capitalizeRange(found);
+                break;
+            case 'MOVE':
+                this.textEditor.moveCaret(found, args.direction === 'forward');
+                break;
+            case 'BOLD':
+            case 'ITALIC':
+            case 'UNDERLINE':
+                this.textEditor.formatRange(found, command.toLowerCase());
+                break;
+            default:
+                console.warn('Unknown range command:', command);
+        }
+    }
+
+    /**
+     * Turn formatting of the following dictation on or off
+     * @param {string} command - START_BOLD, STOP_BOLD, START_ITALIC, ... or STOP_FORMATTING
+     */
+    setDictationFormat(command) {
+        const before = this.dictationFormats.size;
+
+        if (command === 'STOP_FORMATTING') {
+            this.dictationFormats.clear();
+        } else {
+            const [action, format] = command.toLowerCase().split('_');
+            if (action === 'start') {
+                this.dictationFormats.add(format);
+            } else {
+                this.dictationFormats.delete(format);
+            }
+        }
+
+        this.ui.setDictationFormats([...this.dictationFormats]);
+        if (this.dictationFormats.size > 0) {
+            this.ui.showNotification(`Dictating in ${[...this.dictationFormats].join(' ')}`, 'info');
+        } else if (before > 0) {
+            this.ui.showNotification('Dictation formatting off', 'info');
+        }
+    }
+
     /**
      * Handle speech recognition errors
      * @param {string} error - Error type
@@ -324,6 +1963,28 @@ class DictationApp {
                 message = '❌ Network error. Please check your internet connection.';
                 this.ui.updateStatus('Network error', 'error');
                 break;
+            case 'transcription-server':
+                message = '❌ Cannot reach the transcription server. Check that it is running.';
+                this.ui.updateStatus('Server unreachable', 'error');
+                break;
+            case 'transcription-failed':
+                message = '❌ The transcription server returned an error. See the console for details.';
+                this.ui.updateStatus('Transcription error', 'error');
+                break;
+            case 'aborted':
+                // The session was ended on purpose (Stop); nothing for the user to do
+                return;
+            case 'restart-failed': {
+                const attempts = this.lastReconnect ? this.lastReconnect.maxAttempts : 0;
+                message = `❌ Speech recognition stopped after ${attempts} reconnect attempt${attempts === 1 ? '' : 's'}. Check your connection and microphone, then click Start.`;
+                this.reconnectFailed = true;
+                this.ui.updateStatus('Stopped: could not reconnect', 'error');
+                break;
+            }
+            case 'replay-script':
+                message = '❌ Could not load the replay script. See the console for details.';
+                this.ui.updateStatus('Replay error', 'error');
+                break;
             default:
                 message = `❌ Speech recognition error: ${error}`;
                 this.ui.updateStatus('Error occurred', 'error');
@@ -335,6 +1996,24 @@ class DictationApp {
         this.ui.hideInterimPreview();
     }
 
+    /**
+     * Show an automatic restart in progress
+     * @param {Object} info - { attempt, maxAttempts, delay, reason }
+     */
+    handleReconnecting(info) {
+        this.lastReconnect = info;
+
+        // The unfinished phrase ended with the session and will not be finalised
+        this.ui.hideInterimPreview();
+        this.hasPendingInterim = false;
+        this.discardNextFinal = false;
+        this.journal.clearInterim();
+
+        console.warn(`[App] Recognition ended (${info.reason}), restarting in ${info.delay} ms`);
+        this.ui.updateStatus('Reconnecting...', 'reconnecting');
+        this.ui.updateReconnectCount(info.attempt, info.maxAttempts);
+    }
+
     /**
      * Start dictation
      */
@@ -344,6 +2023,16 @@ class DictationApp {
             return;
         }
 
+        if (this.audioImport) {
+            this.ui.showNotification('Wait for the audio file to finish transcribing, or cancel it', 'warning');
+            return;
+        }
+
+        if (!this.speechRecognition.isSupported()) {
+            this.ui.showNotification(UNSUPPORTED_MESSAGE, 'error');
+            return;
+        }
+
         this.speechRecognition.start();
         this.textEditor.focus();
     }
@@ -360,16 +2049,94 @@ class DictationApp {
         this.speechRecognition.stop();
     }
 
+    /**
+     * Setup push-to-talk and the toggle hotkey
+     */
+    setupMicrophoneMode() {
+        this.micMode.onPress(() => {
+            // Still listening: the previous press's session has not ended yet
+            if (this.isListening) {
+                this.resumeOnEnd = true;
+                return;
+            }
+            this.startDictation();
+        });
+
+        this.micMode.onRelease(() => {
+            // Words spoken before the release are still finalised; nothing after it is heard
+            this.resumeOnEnd = false;
+            if (this.isListening) this.stopDictation();
+        });
+
+        this.micMode.onToggle(() => {
+            if (this.isListening) {
+                this.stopDictation();
+            } else {
+                this.startDictation();
+            }
+        });
+
+        this.micMode.onChange((mode) => {
+            // Push-to-talk only listens while held
+            if (mode === MIC_MODES.PUSH_TO_TALK && this.isListening) {
+                this.stopDictation();
+            }
+
+            if (!this.isListening && this.currentMode === 'dictate' && this.speechRecognition.isSupported()) {
+                this.ui.setStartButtonEnabled(mode !== MIC_MODES.PUSH_TO_TALK);
+                this.ui.updateStatus(this.getReadyStatus(), 'ready');
+            }
+        });
+    }
+
+    /**
+     * Get the idle status text for the microphone mode
+     * @returns {string} Status text
+     */
+    getReadyStatus() {
+        const key = this.micMode.getKeyLabel();
+
+        switch (this.micMode.getMode()) {
+            case MIC_MODES.PUSH_TO_TALK:
+                return `Hold ${key} or Talk to dictate`;
+            case MIC_MODES.TOGGLE:
+                return `Press ${key} to start dictation`;
+            default:
+                return 'Ready to start dictation';
+        }
+    }
+
     /**
      * Change language
      * @param {string} languageCode - Language code
      */
     changeLanguage(languageCode) {
-        // Update language manager
+        // "Auto-detect" starts in one of the chosen languages and follows the speaker
+        const auto = languageCode === AUTO_LANGUAGE;
+        this.languageDetector.setEnabled(auto);
+
+        const autoLanguageSet = document.getElementById('autoLanguageSet');
+        if (autoLanguageSet) autoLanguageSet.hidden = !auto;
+
+        this.setRecognitionLanguage(auto
+            ? this.languageDetector.getStartLanguage(this.languageManager.getLanguageCode())
+            : languageCode);
+    }
+
+    /**
+     * Listen in another language (a manual choice or an auto-detect switch)
+     * @param {string} languageCode - Language code
+     */
+    setRecognitionLanguage(languageCode) {
+        // Update language manager and the voice commands listened for
         this.languageManager.setLanguage(languageCode);
+        this.commandProcessor.setLanguage(languageCode);
         
-        // Update speech recognition
-        this.speechRecognition.setLanguage(languageCode);
+        // Update speech recognition; restarting in the same language would only lose speech
+        if (languageCode !== this.speechRecognition.getLanguage()) {
+            this.updateVocabularyHints();
+            this.speechRecognition.setLanguage(languageCode);
+        }
         
         // Update editor lang attribute for CSS styling
         const editor = this.ui.getEditor();
@@ -387,6 +2154,7 @@ class DictationApp {
         }
 
         if (this.ui.confirm('Are you sure you want to clear all text?')) {
+            this.takeSnapshot({ name: 'Before clear', auto: true });
             this.textEditor.clear();
             this.updateStats();
             this.ui.showNotification('Editor cleared', 'info');
@@ -406,6 +2174,299 @@ class DictationApp {
         }
     }
 
+    /**
+     * Export editor content as a file download
+     * @param {string} format - 'markdown', 'html', 'text' or 'docx'
+     */
+    exportDocument(format) {
+        const title = this.currentDocument?.title || 'Document';
+
+        try {
+            switch (format) {
+                case 'markdown':
+                    downloadBlob(new Blob([this.exporter.toMarkdown()], { type: 'text/markdown;charset=utf-8' }), toFileName(title, 'md'));
+                    break;
+                case 'html':
+                    downloadBlob(new Blob([this.exporter.toHTML(title)], { type: 'text/html;charset=utf-8' }), toFileName(title, 'html'));
+                    break;
+                case 'text':
+                    downloadBlob(new Blob([this.exporter.toPlainText()], { type: 'text/plain;charset=utf-8' }), toFileName(title, 'txt'));
+                    break;
+                case 'docx':
+                    downloadBlob(this.exporter.toDocx(title), toFileName(title, 'docx'));
+                    break;
+                case 'srt':
+                case 'vtt':
+                    if (!this.exportCaptions(format, title)) return;
+                    break;
+                default:
+                    console.warn('Unknown export format:', format);
+                    return;
+            }
+
+            this.ui.showNotification('Document exported', 'success');
+        } catch (error) {
+            console.error('[App] Export failed:', error);
+            this.ui.showNotification('Export failed', 'error');
+        }
+    }
+
+    /**
+     * Download captions built from timed dictation segments
+     * @param {string} format - 'srt' or 'vtt'
+     * @param {string} title - Document title
+     * @returns {boolean} False if there was nothing to export
+     */
+    exportCaptions(format, title) {
+        const editor = this.textEditor.editor;
+        const captions = new CaptionExporter(this.captionSettings.getSettings());
+
+        if (!captions.hasSegments(editor)) {
+            this.ui.showNotification('No dictated text with timestamps to export', 'warning');
+            return false;
+        }
+
+        if (format === 'srt') {
+            downloadBlob(new Blob([captions.toSRT(editor)], { type: 'application/x-subrip;charset=utf-8' }), toFileName(title, 'srt'));
+        } else {
+            downloadBlob(new Blob([captions.toVTT(editor)], { type: 'text/vtt;charset=utf-8' }), toFileName(title, 'vtt'));
+        }
+        return true;
+    }
+
+    /**
+     * Print the document, or save it as PDF from the print dialog
+     * @param {Object} settings - Page layout settings
+     */
+    async printDocument(settings) {
+        const title = this.currentDocument?.title || 'Document';
+        const html = this.printExporter.buildDocument(title, this.exporter.toHTMLBody(), settings);
+
+        try {
+            await this.printExporter.print(html);
+        } catch (error) {
+            console.error('[App] Printing failed:', error);
+            this.ui.showNotification('Printing failed', 'error');
+        }
+    }
+
+    /**
+     * Accept files dropped onto the editor
+     */
+    setupFileDrop() {
+        const editor = this.ui.getEditor();
+        if (!editor) return;
+
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        editor.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            editor.classList.add('drag-over');
+        });
+
+        editor.addEventListener('dragleave', () => {
+            editor.classList.remove('drag-over');
+        });
+
+        editor.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            editor.classList.remove('drag-over');
+
+            // Insert where the file was dropped
+            if (document.caretRangeFromPoint) {
+                const range = document.caretRangeFromPoint(e.clientX, e.clientY);
+                if (range) {
+                    const selection = window.getSelection();
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                }
+            }
+
+            const file = e.dataTransfer.files[0];
+            if (file?.type.startsWith('audio/')) {
+                this.importAudio(file);
+            } else {
+                this.importFile(file);
+            }
+        });
+    }
+
+    /**
+     * Import a file into the editor at the cursor
+     * @param {File} file - File to import
+     */
+    async importFile(file) {
+        if (!file) return;
+
+        if (!DocumentImporter.canImport(file)) {
+            this.ui.showNotification('Unsupported file. Use .txt, .md, .html or .docx', 'error');
+            return;
+        }
+
+        try {
+            const html = await this.importer.importFile(file);
+            if (!html) {
+                this.ui.showNotification(`"${file.name}" has no text to import`, 'warning');
+                return;
+            }
+
+            this.textEditor.insertHTML(html);
+            this.ui.showNotification(`Imported "${file.name}"`, 'success');
+        } catch (error) {
+            console.error('[App] Import failed:', error);
+            this.ui.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Setup the audio file import button and progress bar
+     */
+    setupAudioImport() {
+        const input = document.getElementById('importAudioInput');
+        document.getElementById('importAudioBtn')?.addEventListener('click', () => {
+            if (this.canImportAudio()) input?.click();
+        });
+        input?.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.importAudio(input.files[0]);
+            }
+            // Allow picking the same file again
+            input.value = '';
+        });
+
+        this.audioTranscriber.onProgress((progress) => {
+            this.audioImportBar.update(progress);
+        });
+
+        this.audioImportBar.onCancel(() => {
+            this.audioTranscriber.cancel();
+        });
+    }
+
+    /**
+     * Check that an audio file can be transcribed now, explaining why not
+     * @returns {boolean}
+     */
+    canImportAudio() {
+        if (!AudioFileTranscriber.isSupported()) {
+            this.ui.showNotification('This browser cannot decode audio files', 'error');
+            return false;
+        }
+        if (!this.speechRecognition.canTranscribeAudio()) {
+            this.ui.showNotification('The current recognition engine only listens to the microphone. Transcribing audio files needs the self-hosted Whisper engine (?engine=whisper)', 'error');
+            return false;
+        }
+        if (this.isListening) {
+            this.ui.showNotification('Stop dictation before importing audio', 'warning');
+            return false;
+        }
+        if (this.audioImport) {
+            this.ui.showNotification('An audio file is already being transcribed', 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Transcribe an audio file into the editor at the cursor, phrase by phrase,
+     * with the same command processing and capitalization as dictation
+     * @param {File} file - Audio file
+     */
+    async importAudio(file) {
+        if (!file || !this.canImportAudio()) return;
+
+        const documentId = this.currentDocument?.id || null;
+        const keepAudio = !!documentId && this.recorder.isEnabled() && DocumentStorage.isSupported();
+        const audioImport = {
+            documentId: documentId,
+            // Phrases link to the file, kept as a recording, so they can be played back
+            recordingId: keepAudio ? this.recordings.createId(documentId) : null,
+            segments: 0
+        };
+        this.audioImport = audioImport;
+
+        // Phrases like "two" or "cancel" must not answer an open alternatives popup
+        this.alternativesPicker.close();
+        this.player.pause();
+        this.ui.setStartButtonEnabled(false);
+        this.audioImportBar.show(file.name);
+        this.textEditor.focus(true);
+
+        let result = null;
+        try {
+            result = await this.audioTranscriber.transcribe(file, (segment) => {
+                this.insertTranscribedSegment(segment);
+            });
+
+            if (result.cancelled) {
+                this.ui.showNotification(`Stopped transcribing "${file.name}"`, 'info');
+            } else if (result.segments === 0) {
+                this.ui.showNotification(`No speech found in "${file.name}"`, 'warning');
+            } else {
+                this.ui.showNotification(`Transcribed "${file.name}" (${result.segments} phrases)`, 'success');
+            }
+        } catch (error) {
+            console.error('[App] Audio import failed:', error);
+            this.ui.showNotification(error.name === 'EncodingError'
+                ? `"${file.name}" is not an audio format this browser can read`
+                : `Audio import failed: ${error.message}`, 'error');
+        } finally {
+            this.audioImport = null;
+            this.audioImportBar.hide();
+            this.ui.setStartButtonEnabled(this.micMode.getMode() !== MIC_MODES.PUSH_TO_TALK);
+            this.ui.updateStatus(this.getReadyStatus(), 'ready');
+        }
+
+        // Phrases already inserted keep their link even if transcription stopped early
+        if (audioImport.recordingId && audioImport.segments > 0) {
+            await this.saveImportedAudio(audioImport, file, result ? result.duration : 0);
+        }
+    }
+
+    /**
+     * Insert one transcribed phrase of an audio file as if it had been dictated
+     * @param {Object} segment - { text, start, end } (ms into the file)
+     */
+    insertTranscribedSegment(segment) {
+        // The phrases belong to the document the import started in
+        if (this.currentDocument?.id !== this.audioImport.documentId) {
+            this.audioTranscriber.cancel();
+            return;
+        }
+
+        this.audioImport.segments++;
+        this.handleSpeechResult({
+            final: segment.text,
+            interim: '',
+            isFinal: true,
+            timing: { start: segment.start, end: segment.end }
+        });
+    }
+
+    /**
+     * Keep an imported audio file as a recording of its document
+     * @param {Object} audioImport - { documentId, recordingId }
+     * @param {File} file - Audio file
+     * @param {number} duration - Length (ms), 0 if unknown
+     */
+    async saveImportedAudio(audioImport, file, duration) {
+        try {
+            await this.recordings.create(audioImport.recordingId, audioImport.documentId, {
+                blob: file,
+                duration: duration,
+                offset: 0
+            });
+            if (this.currentDocument?.id === audioImport.documentId) {
+                await this.refreshRecordings();
+            }
+        } catch (error) {
+            console.error('[App] Failed to save imported audio:', error);
+        }
+    }
+
     /**
      * Update statistics display
      */
@@ -420,6 +2481,27 @@ class DictationApp {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyboardShortcuts(e) {
+        // Ctrl/Cmd + P = Print with page layout (instead of printing the app UI)
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'p') {
+            e.preventDefault();
+            this.printDialog.open();
+            return;
+        }
+
+        // F8 / Shift+F8 = Next / previous uncertain phrase
+        if (e.key === 'F8' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            this.selectNextUncertain(e.shiftKey);
+            return;
+        }
+
+        // Ctrl/Cmd + Enter = Accept the uncertain phrase at the cursor
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'Enter' && this.confidenceMarker.getUncertain().length > 0) {
+            e.preventDefault();
+            this.acceptUncertainPhrase();
+            return;
+        }
+
         // Don't interfere with typing mode
         if (this.currentMode === 'type') {
             return;
@@ -493,6 +2575,9 @@ class DictationApp {
                 console.log('[App] Stop button hidden');
             }
 
+            // Hotkeys and the Talk button belong to dictation
+            this.micMode.setActive(false);
+
             // Enable typing mode
             console.log('[App] Enabling typing mode');
             this.typingMode.enable();
@@ -533,6 +2618,8 @@ class DictationApp {
                 console.log('[App] Stop button shown');
             }
 
+            this.micMode.setActive(true);
+
             // Disable typing mode
             this.typingMode.disable();
 
@@ -548,8 +2635,8 @@ class DictationApp {
             }
 
             // Update UI
-            this.ui.setStartButtonEnabled(true);
-            this.ui.updateStatus('Ready to start dictation', 'ready');
+            this.ui.setStartButtonEnabled(this.micMode.getMode() !== MIC_MODES.PUSH_TO_TALK);
+            this.ui.updateStatus(this.getReadyStatus(), 'ready');
             this.ui.showNotification('Dictation mode enabled', 'info');
             console.log('[App] Dictation mode enabled');
         }
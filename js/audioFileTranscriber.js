@@ -0,0 +1,158 @@
+/**
+ * AudioFileTranscriber Module
+ * Decodes a local audio file, splits it into phrases at pauses and
+ * transcribes them one by one with the recognition engine
+ * Follows Single Responsibility Principle: Only turns an audio file into timed text;
+ * the app inserts the text
+ */
+
+import { SpeechChunker } from './speechChunker.js';
+
+// Decoding resamples to this rate; speech recognition needs no more
+const DECODE_SAMPLE_RATE = 16000;
+
+// Samples fed to the chunker at a time (as from the microphone)
+const BATCH_SIZE = 1024;
+
+export class AudioFileTranscriber {
+    /**
+     * @param {RecognitionEngine} engine - Engine that transcribes the phrases
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.running = false;
+        this.cancelled = false;
+
+        this.onProgressCallback = null;
+    }
+
+    /**
+     * Transcribe a file, handing over each phrase as it is ready
+     * @param {File|Blob} file - Audio file in any format the browser decodes
+     * @param {Function} onSegment - Receives { text, start, end } (ms into the file), in order
+     * @returns {Promise<Object>} { segments: phrases transcribed, duration (ms), cancelled }
+     */
+    async transcribe(file, onSegment) {
+        if (this.running) throw new Error('A file is already being transcribed');
+
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            this.reportProgress({ phase: 'decoding', done: 0, total: 0 });
+            const samples = await AudioFileTranscriber.decode(file);
+            const duration = Math.round(samples.length / DECODE_SAMPLE_RATE * 1000);
+
+            const utterances = this.cancelled ? [] : AudioFileTranscriber.split(samples, DECODE_SAMPLE_RATE);
+            let segments = 0;
+
+            for (let i = 0; i < utterances.length && !this.cancelled; i++) {
+                this.reportProgress({ phase: 'transcribing', done: i, total: utterances.length });
+
+                const utterance = utterances[i];
+                const text = (await this.engine.transcribeAudio(utterance.samples, DECODE_SAMPLE_RATE)).trim();
+
+                // A request in flight when cancelling still completes; its text is dropped
+                if (this.cancelled) break;
+
+                if (text) {
+                    segments++;
+                    await onSegment({ text, start: utterance.start, end: utterance.end });
+                }
+            }
+
+            if (!this.cancelled) {
+                this.reportProgress({ phase: 'transcribing', done: utterances.length, total: utterances.length });
+            }
+
+            return { segments, duration, cancelled: this.cancelled };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Stop after the phrase being transcribed
+     */
+    cancel() {
+        if (this.running) this.cancelled = true;
+    }
+
+    /**
+     * Check if a file is being transcribed
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Report progress
+     * @param {Object} progress - { phase: 'decoding' or 'transcribing', done, total }
+     */
+    reportProgress(progress) {
+        if (this.onProgressCallback) this.onProgressCallback(progress);
+    }
+
+    /**
+     * Decode an audio file to mono samples at DECODE_SAMPLE_RATE
+     * @param {File|Blob} file - Audio file
+     * @returns {Promise<Float32Array>} Samples; rejects if the format is not supported
+     */
+    static async decode(file) {
+        const data = await file.arrayBuffer();
+        const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+        const buffer = await context.decodeAudioData(data);
+
+        if (buffer.numberOfChannels === 1) {
+            return buffer.getChannelData(0);
+        }
+
+        // Mix down to mono
+        const samples = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const input = buffer.getChannelData(channel);
+            for (let i = 0; i < input.length; i++) {
+                samples[i] += input[i] / buffer.numberOfChannels;
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * Split audio into phrases at pauses
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     * @returns {Array<Object>} Utterances { samples, start, end } (ms)
+     */
+    static split(samples, sampleRate) {
+        const chunker = new SpeechChunker(sampleRate);
+        const utterances = [];
+        chunker.onUtterance((utterance) => {
+            utterances.push(utterance);
+        });
+
+        for (let offset = 0; offset < samples.length; offset += BATCH_SIZE) {
+            chunker.push(samples.subarray(offset, offset + BATCH_SIZE));
+        }
+        chunker.flush();
+
+        return utterances;
+    }
+
+    /**
+     * Check if the browser can decode audio files
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!window.OfflineAudioContext;
+    }
+
+    /**
+     * Set callback for progress
+     * @param {Function} callback - Receives { phase, done, total }
+     */
+    onProgress(callback) {
+        this.onProgressCallback = callback;
+    }
+}
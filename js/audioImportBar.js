@@ -0,0 +1,75 @@
+/**
+ * AudioImportBar Module
+ * Progress bar above the editor while an audio file is transcribed, with cancel
+ * Follows Single Responsibility Principle: Only shows audio import progress
+ */
+
+export class AudioImportBar {
+    constructor() {
+        this.elements = {
+            bar: document.getElementById('audioImportBar'),
+            label: document.getElementById('audioImportLabel'),
+            progress: document.getElementById('audioImportProgress'),
+            cancelBtn: document.getElementById('audioImportCancelBtn')
+        };
+
+        this.fileName = '';
+        this.onCancelCallback = null;
+
+        this.elements.cancelBtn?.addEventListener('click', () => {
+            if (this.elements.cancelBtn) this.elements.cancelBtn.disabled = true;
+            if (this.elements.label) this.elements.label.textContent = `Cancelling ${this.fileName}…`;
+            if (this.onCancelCallback) this.onCancelCallback();
+        });
+    }
+
+    /**
+     * Show the bar for a file
+     * @param {string} fileName - Name of the file being transcribed
+     */
+    show(fileName) {
+        this.fileName = fileName;
+        if (this.elements.cancelBtn) this.elements.cancelBtn.disabled = false;
+        this.update({ phase: 'decoding', done: 0, total: 0 });
+        if (this.elements.bar) this.elements.bar.hidden = false;
+    }
+
+    /**
+     * Show progress
+     * @param {Object} progress - { phase: 'decoding' or 'transcribing', done, total }
+     */
+    update({ phase, done, total }) {
+        const { label, progress } = this.elements;
+
+        if (label) {
+            label.textContent = phase === 'decoding'
+                ? `Reading ${this.fileName}…`
+                : `Transcribing ${this.fileName}: phrase ${Math.min(done + 1, total)} of ${total}`;
+        }
+
+        if (progress) {
+            // No value: indeterminate while decoding
+            if (phase === 'decoding' || total === 0) {
+                progress.removeAttribute('value');
+            } else {
+                progress.max = total;
+                progress.value = done;
+            }
+        }
+    }
+
+    /**
+     * Hide the bar
+     */
+    hide() {
+        if (this.elements.bar) this.elements.bar.hidden = true;
+    }
+
+    /**
+     * Set callback for the cancel button
+     * @param {Function} callback - Function to call
+     */
+    onCancel(callback) {
+        this.onCancelCallback = callback;
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * AudioRecorder Module
+ * Records microphone audio alongside a dictation session and packs it as WAV
+ * Follows Single Responsibility Principle: Only captures and encodes the recording;
+ * the microphone is opened with start() but closed by its owner
+ */
+
+import { MicrophoneCapture } from './microphoneCapture.js';
+import { encodeWAV, resample } from './wavEncoder.js';
+
+const STORAGE_KEY = 'voicescript-record-audio';
+
+// Speech is intelligible at 16 kHz and takes a third of the space of 48 kHz
+export const RECORDING_SAMPLE_RATE = 16000;
+
+// Longest recording kept per session (ms); later audio is dropped
+const MAX_RECORDING_DURATION = 60 * 60 * 1000;
+
+export class AudioRecorder {
+    /**
+     * @param {MicrophoneCapture} microphone - Microphone shared with the level meter
+     */
+    constructor(microphone) {
+        this.microphone = microphone;
+        this.enabled = this.load();
+
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.startedAt = null;
+        this.limitReached = false;
+
+        // stop() during the permission prompt cancels the start
+        this.isStarting = false;
+        this.cancelled = false;
+
+        this.onLimitCallback = null;
+    }
+
+    /**
+     * Start recording
+     * @returns {Promise<boolean>} True once recording, false if stopped before it began;
+     *                             rejects with the microphone error
+     */
+    async start() {
+        if (this.startedAt !== null || this.isStarting) return false;
+
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.limitReached = false;
+        this.isStarting = true;
+        this.cancelled = false;
+
+        try {
+            await this.microphone.start();
+        } finally {
+            this.isStarting = false;
+        }
+
+        // Stopped during the permission prompt, or the microphone was closed meanwhile
+        if (this.cancelled || !this.microphone.isActive()) return false;
+
+        const inputRate = this.microphone.getSampleRate();
+        const maxSamples = MAX_RECORDING_DURATION / 1000 * RECORDING_SAMPLE_RATE;
+
+        this.microphone.onAudio((samples) => {
+            if (this.sampleCount >= maxSamples) {
+                if (!this.limitReached) {
+                    this.limitReached = true;
+                    if (this.onLimitCallback) this.onLimitCallback();
+                }
+                return;
+            }
+
+            // Resampled per batch to keep memory down; the rounding drift is negligible
+            const chunk = resample(samples, inputRate, RECORDING_SAMPLE_RATE);
+            this.chunks.push(chunk);
+            this.sampleCount += chunk.length;
+        });
+
+        this.startedAt = Date.now();
+        return true;
+    }
+
+    /**
+     * Stop recording and return the audio
+     * @returns {Object|null} { blob: audio/wav Blob, duration (ms), startedAt }, or null if nothing was recorded
+     */
+    stop() {
+        if (this.isStarting) {
+            this.cancelled = true;
+            return null;
+        }
+        if (this.startedAt === null) return null;
+
+        this.microphone.onAudio(null);
+
+        const startedAt = this.startedAt;
+        this.startedAt = null;
+
+        if (this.sampleCount === 0) return null;
+
+        const samples = new Float32Array(this.sampleCount);
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        });
+        this.chunks = [];
+        this.sampleCount = 0;
+
+        return {
+            blob: encodeWAV(samples, RECORDING_SAMPLE_RATE),
+            duration: Math.round(samples.length / RECORDING_SAMPLE_RATE * 1000),
+            startedAt: startedAt
+        };
+    }
+
+    /**
+     * Check if a recording is in progress
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.startedAt !== null;
+    }
+
+    /**
+     * Check if dictation sessions should be recorded
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Turn recording of dictation sessions on or off
+     * @param {boolean} enabled - Record future sessions
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.save();
+    }
+
+    /**
+     * Check if the browser can record microphone audio
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return MicrophoneCapture.isSupported();
+    }
+
+    /**
+     * Load the on/off setting from localStorage (on by default)
+     * @returns {boolean} Enabled
+     */
+    load() {
+        try {
+            return localStorage.getItem(STORAGE_KEY) !== 'off';
+        } catch (error) {
+            console.error('[AudioRecorder] Failed to load setting:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Persist the on/off setting to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, this.enabled ? 'on' : 'off');
+        } catch (error) {
+            console.error('[AudioRecorder] Failed to save setting:', error);
+        }
+    }
+
+    /**
+     * Set callback for reaching the maximum recording length
+     * @param {Function} callback - Function to call once per recording
+     */
+    onLimit(callback) {
+        this.onLimitCallback = callback;
+    }
+}
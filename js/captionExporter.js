@@ -0,0 +1,189 @@
+/**
+ * CaptionExporter Module
+ * Builds SRT and WebVTT captions from timed dictation segments
+ * Follows Single Responsibility Principle: Only converts segments to captions
+ */
+
+// Lines per caption cue (subtitle convention)
+const MAX_LINES_PER_CUE = 2;
+
+export const DEFAULT_CAPTION_SETTINGS = {
+    maxLineLength: 42,
+    maxCueDuration: 6
+};
+
+export class CaptionExporter {
+    /**
+     * @param {Object} settings - { maxLineLength (characters), maxCueDuration (seconds) }
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_CAPTION_SETTINGS, ...settings };
+    }
+
+    /**
+     * Collect timed segments from editor content, in document order
+     * Later dictation sessions restart at 0, so a segment that starts before
+     * the previous one ended is shifted (with the rest of its session) to follow it
+     * @param {HTMLElement} root - Editor element
+     * @returns {Array} Segments: { text, start, end } in ms
+     */
+    getSegments(root) {
+        const segments = [];
+        let offset = 0;
+        let previousEnd = 0;
+
+        root.querySelectorAll('.dictation-segment').forEach(element => {
+            const text = element.textContent.replace(/\s+/g, ' ').trim();
+            const start = Number(element.dataset.start);
+            const end = Number(element.dataset.end);
+            if (!text || !Number.isFinite(start) || !Number.isFinite(end)) return;
+
+            if (start + offset < previousEnd) {
+                offset = previousEnd - start;
+            }
+
+            const segment = {
+                text: text,
+                start: start + offset,
+                end: Math.max(end, start) + offset
+            };
+            segments.push(segment);
+            previousEnd = segment.end;
+        });
+
+        return segments;
+    }
+
+    /**
+     * Split segments into cues that respect line length and duration limits
+     * Time inside a segment is shared out by character count
+     * @param {Array} segments - Segments: { text, start, end }
+     * @returns {Array} Cues: { start, end, lines }
+     */
+    getCues(segments) {
+        const maxDuration = this.settings.maxCueDuration * 1000;
+        const cues = [];
+
+        segments.forEach(segment => {
+            const words = segment.text.split(' ');
+            const msPerChar = (segment.end - segment.start) / segment.text.length;
+            let time = segment.start;
+            let current = [];
+            let currentStart = time;
+
+            const flush = () => {
+                if (current.length === 0) return;
+                cues.push({
+                    start: currentStart,
+                    end: time,
+                    lines: this.wrapLines(current)
+                });
+                current = [];
+                currentStart = time;
+            };
+
+            words.forEach((word, index) => {
+                // The following space belongs to the word it follows
+                const wordDuration = (word.length + (index < words.length - 1 ? 1 : 0)) * msPerChar;
+                const candidate = [...current, word];
+                const fits = this.wrapLines(candidate).length <= MAX_LINES_PER_CUE
+                    && time + wordDuration - currentStart <= maxDuration;
+
+                if (!fits) flush();
+
+                current.push(word);
+                time += wordDuration;
+            });
+
+            time = segment.end;
+            flush();
+        });
+
+        return cues;
+    }
+
+    /**
+     * Greedily wrap words into lines of at most maxLineLength characters
+     * (a single longer word gets a line of its own)
+     * @param {Array<string>} words - Words
+     * @returns {Array<string>} Lines
+     */
+    wrapLines(words) {
+        const lines = [];
+
+        words.forEach(word => {
+            const last = lines[lines.length - 1];
+            if (last !== undefined && last.length + 1 + word.length <= this.settings.maxLineLength) {
+                lines[lines.length - 1] = `${last} ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Export as SubRip (.srt)
+     * @param {HTMLElement} root - Editor element
+     * @returns {string} SRT file content
+     */
+    toSRT(root) {
+        return this.getCues(this.getSegments(root)).map((cue, index) => [
+            index + 1,
+            `${CaptionExporter.formatTime(cue.start, ',')} --> ${CaptionExporter.formatTime(cue.end, ',')}`,
+            ...cue.lines
+        ].join('\n') + '\n').join('\n');
+    }
+
+    /**
+     * Export as WebVTT (.vtt)
+     * @param {HTMLElement} root - Editor element
+     * @returns {string} WebVTT file content
+     */
+    toVTT(root) {
+        const cues = this.getCues(this.getSegments(root)).map(cue => [
+            `${CaptionExporter.formatTime(cue.start, '.')} --> ${CaptionExporter.formatTime(cue.end, '.')}`,
+            ...cue.lines.map(line => CaptionExporter.escapeVTT(line))
+        ].join('\n') + '\n');
+
+        return ['WEBVTT\n', ...cues].join('\n');
+    }
+
+    /**
+     * Check if content has any timed dictation
+     * @param {HTMLElement} root - Editor element
+     * @returns {boolean}
+     */
+    hasSegments(root) {
+        return this.getSegments(root).length > 0;
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS + separator + mmm
+     * @param {number} ms - Time in milliseconds
+     * @param {string} separator - ',' for SRT, '.' for WebVTT
+     * @returns {string} Timestamp
+     */
+    static formatTime(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor(total / 60000) % 60;
+        const seconds = Math.floor(total / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+    }
+
+    /**
+     * Escape characters with meaning in WebVTT cue text
+     * @param {string} text - Cue text
+     * @returns {string} Escaped text
+     */
+    static escapeVTT(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * CaptionSettingsDialog Module
+ * Edits and remembers caption export settings (line length, cue duration)
+ * Follows Single Responsibility Principle: Only manages caption settings UI
+ */
+
+import { DEFAULT_CAPTION_SETTINGS } from './captionExporter.js';
+
+const STORAGE_KEY = 'voicescript-caption-settings';
+
+// Accepted ranges for each setting
+const LIMITS = {
+    maxLineLength: { min: 10, max: 100, integer: true },
+    maxCueDuration: { min: 1, max: 30 }
+};
+
+export class CaptionSettingsDialog {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('captionSettingsPanel'),
+            lineLength: document.getElementById('captionLineLength'),
+            cueDuration: document.getElementById('captionCueDuration'),
+            saveBtn: document.getElementById('captionSettingsSaveBtn'),
+            closeBtn: document.getElementById('captionSettingsCloseBtn')
+        };
+
+        this.settings = this.load();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dialog controls
+     */
+    setupEventListeners() {
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.close();
+        });
+
+        this.elements.saveBtn?.addEventListener('click', () => {
+            this.settings = {
+                maxLineLength: CaptionSettingsDialog.clamp(this.elements.lineLength.value, 'maxLineLength'),
+                maxCueDuration: CaptionSettingsDialog.clamp(this.elements.cueDuration.value, 'maxCueDuration')
+            };
+            this.save();
+            this.close();
+        });
+    }
+
+    /**
+     * Show the dialog with the current settings
+     */
+    open() {
+        if (!this.elements.panel) return;
+        this.elements.lineLength.value = this.settings.maxLineLength;
+        this.elements.cueDuration.value = this.settings.maxCueDuration;
+        this.elements.panel.hidden = false;
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (this.elements.panel) this.elements.panel.hidden = true;
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} { maxLineLength, maxCueDuration }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Load settings from localStorage
+     * @returns {Object} Settings
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return {
+                maxLineLength: CaptionSettingsDialog.clamp(stored.maxLineLength ?? DEFAULT_CAPTION_SETTINGS.maxLineLength, 'maxLineLength'),
+                maxCueDuration: CaptionSettingsDialog.clamp(stored.maxCueDuration ?? DEFAULT_CAPTION_SETTINGS.maxCueDuration, 'maxCueDuration')
+            };
+        } catch (error) {
+            console.error('[CaptionSettingsDialog] Failed to load settings:', error);
+            return { ...DEFAULT_CAPTION_SETTINGS };
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('[CaptionSettingsDialog] Failed to save settings:', error);
+        }
+    }
+
+    /**
+     * Parse a setting and keep it within its range
+     * @param {*} value - Raw value
+     * @param {string} key - Setting name
+     * @returns {number} Valid value
+     */
+    static clamp(value, key) {
+        const { min, max, integer } = LIMITS[key];
+        let number = value === '' ? NaN : Number(value);
+        if (!Number.isFinite(number)) return DEFAULT_CAPTION_SETTINGS[key];
+        if (integer) number = Math.round(number);
+        return Math.min(max, Math.max(min, number));
+    }
+}
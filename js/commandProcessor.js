@@ -4,9 +4,93 @@
  * Follows Single Responsibility Principle: Only processes commands
  */
 
+import { COMMAND_SETS } from './commandSets.js';
+
+// Command categories that parse() recognises, and the type of their actions
+const COMMAND_TYPES = {
+    punctuation: 'PUNCTUATION',
+    navigation: 'NAVIGATION',
+    cursor: 'CURSOR',
+    editing: 'EDITING',
+    formatting: 'FORMATTING',
+    formatModes: 'FORMAT_MODE',
+    sequences: 'SEQUENCE'
+};
+
+// Whether English commands stay active while dictating in another language
+const ENGLISH_FALLBACK_KEY = 'voicescript-english-commands';
+
+// Marks that open a sentence or an aside: no space after them, a sentence can start after them
+const OPENING_MARKS = ['(', '[', '¿', '¡'];
+
+const SENTENCE_ENDS = ['.', '!', '?', '।'];
+
+// Triggers that are also everyday words, or act on what was already said:
+// commands only when they are the whole transcript
+const STANDALONE_TRIGGERS = ['enter', 'paragraph', 'delete that', 'delete sentence',
+    'correct that', 'undo', 'redo', 'bold that', 'italicize that', 'italicise that', 'underline that'];
+
+// Punctuation that is also an everyday word ("the trial period ended", "a quote
+// from the vendor"): only a command at the end of the transcript
+const FINAL_TRIGGERS = ['period', 'quote', 'dash', 'colon'];
+
+// Range commands, always the whole transcript:
+// "<verb> [the] [last|previous|next] [count] <unit>" or "<verb> the word <target>"
+const RANGE_VERBS = {
+    'select': { command: 'SELECT' },
+    'delete': { command: 'DELETE' },
+    'remove': { command: 'DELETE' },
+    'capitalize': { command: 'CAPITALIZE' },
+    'capitalise': { command: 'CAPITALIZE' },
+    'bold': { command: 'BOLD' },
+    'italicize': { command: 'ITALIC' },
+    'italicise': { command: 'ITALIC' },
+    'underline': { command: 'UNDERLINE' },
+    'go back': { command: 'MOVE', direction: 'back' },
+    'move back': { command: 'MOVE', direction: 'back' },
+    'go forward': { command: 'MOVE', direction: 'forward' },
+    'move forward': { command: 'MOVE', direction: 'forward' }
+};
+
+const RANGE_DIRECTIONS = {
+    'last': 'back',
+    'previous': 'back',
+    'next': 'forward'
+};
+
+const RANGE_UNITS = {
+    'word': 'word',
+    'words': 'word',
+    'sentence': 'sentence',
+    'sentences': 'sentence',
+    'line': 'line',
+    'lines': 'line',
+    'paragraph': 'paragraph',
+    'paragraphs': 'paragraph'
+};
+
+// Words that introduce a target ("delete the word Tuesday"), with the most words the
+// target may have: a longer one is a sentence that happens to start with the verb
+const TARGET_WORDS = { 'word': 1, 'words': 4, 'phrase': 4 };
+
+const NUMBER_WORDS = {
+    'a': 1, 'an': 1, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
+    'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11,
+    'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15, 'sixteen': 16,
+    'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20
+};
+
 export class CommandProcessor {
     constructor() {
         this.commands = this.initializeCommands();
+
+        // Cursor commands would move the cursor away from the sentence being dictated
+        this.standaloneTriggers = new Set([...STANDALONE_TRIGGERS, ...Object.keys(this.commands.cursor)]);
+        this.finalTriggers = new Set(FINAL_TRIGGERS);
+
+        // Base code of the dictation language, picking the localized commands
+        this.language = 'en';
+        this.englishFallback = this.loadEnglishFallback();
     }
 
     /**
@@ -40,114 +124,397 @@ export class CommandProcessor {
                 'new line': 'NEW_LINE',
                 'enter': 'NEW_LINE',
                 'new paragraph': 'NEW_PARAGRAPH',
-                'paragraph': 'NEW_PARAGRAPH'
+                'paragraph': 'NEW_PARAGRAPH',
+                'next field': 'NEXT_PLACEHOLDER',
+                'next placeholder': 'NEXT_PLACEHOLDER'
+            },
+
+            // Cursor movement and selection (only on their own)
+            cursor: {
+                'go to start': 'DOCUMENT_START',
+                'go to beginning': 'DOCUMENT_START',
+                'go to top': 'DOCUMENT_START',
+                'go to end': 'DOCUMENT_END',
+                'go to bottom': 'DOCUMENT_END',
+                'go to start of line': 'LINE_START',
+                'go to beginning of line': 'LINE_START',
+                'go to end of line': 'LINE_END',
+                'move up': 'LINE_UP',
+                'move down': 'LINE_DOWN',
+                'next paragraph': 'NEXT_PARAGRAPH',
+                'previous paragraph': 'PREVIOUS_PARAGRAPH',
+                'select line': 'SELECT_LINE',
+                'select paragraph': 'SELECT_PARAGRAPH',
+                'select all': 'SELECT_ALL',
+                'unselect': 'UNSELECT',
+                'deselect': 'UNSELECT',
+                'clear selection': 'UNSELECT'
             },
 
             // Editing commands
             editing: {
                 'delete that': 'DELETE_SENTENCE',
                 'delete sentence': 'DELETE_SENTENCE',
+                'correct that': 'CORRECT_THAT',
                 'undo': 'UNDO',
                 'redo': 'REDO'
             },
 
-            // Formatting commands (future use)
+            // Formatting commands: the selection, or else the last dictated phrase
             formatting: {
-                'bold': 'BOLD',
-                'italic': 'ITALIC',
-                'underline': 'UNDERLINE'
+                'bold that': 'BOLD',
+                'italicize that': 'ITALIC',
+                'italicise that': 'ITALIC',
+                'underline that': 'UNDERLINE'
+            },
+
+            // Formatting of the dictation that follows, until stopped
+            formatModes: {
+                'start bold': 'START_BOLD',
+                'stop bold': 'STOP_BOLD',
+                'start italic': 'START_ITALIC',
+                'start italics': 'START_ITALIC',
+                'stop italic': 'STOP_ITALIC',
+                'stop italics': 'STOP_ITALIC',
+                'start underline': 'START_UNDERLINE',
+                'stop underline': 'STOP_UNDERLINE',
+                'stop formatting': 'STOP_FORMATTING'
             }
         };
     }
 
     /**
-     * Process text and execute commands
-     * @param {string} text - Input text to process
-     * @returns {Object} Processed result
+     * Split a transcript into text runs and commands, in the order spoken
+     * ("hello comma how are you question mark new line thanks")
+     * @param {string} text - Transcript
+     * @returns {Array<Object>} Parts: { type: 'text', text, source } or
+     *   { type: 'command', commandType, command, text, args, originalCommand, source }
+     */
+    parse(text) {
+        const words = (text || '').trim().split(/\s+/).filter(Boolean);
+        const keys = words.map(word => CommandProcessor.normalizeWord(word));
+
+        // Range commands have an English grammar only
+        const rangeCommand = this.isEnglishActive() ? this.parseRangeCommand(words, keys) : null;
+        if (rangeCommand) return [rangeCommand];
+
+        const parts = [];
+        let run = [];
+
+        const endRun = () => {
+            if (run.length === 0) return;
+            const source = run.join(' ');
+            parts.push({ type: 'text', text: source, source: source });
+            run = [];
+        };
+
+        let index = 0;
+        while (index < words.length) {
+            const match = this.matchCommand(keys, index);
+
+            const atEnd = match && index + match.length === words.length;
+            const allowed = match && (match.set.standalone.has(match.trigger)
+                ? match.length === words.length
+                : atEnd || !match.set.final.has(match.trigger));
+
+            if (allowed) {
+                const source = words.slice(index, index + match.length).join(' ');
+                endRun();
+
+                // A sequence runs other triggers of its set ("punto y aparte")
+                const steps = match.commandType === 'SEQUENCE'
+                    ? match.action.map(trigger => this.findTrigger(match.set, trigger)).filter(Boolean)
+                    : [match];
+
+                steps.forEach(step => {
+                    // Punctuation inserts its text; other commands are actions
+                    const isPunctuation = step.commandType === 'PUNCTUATION';
+                    parts.push({
+                        type: 'command',
+                        commandType: step.commandType,
+                        command: isPunctuation ? null : step.action,
+                        text: isPunctuation ? step.action : '',
+                        originalCommand: match.trigger,
+                        source: source
+                    });
+                });
+                index += match.length;
+            } else {
+                run.push(words[index]);
+                index++;
+            }
+        }
+        endRun();
+
+        return parts;
+    }
+
+    /**
+     * Find the longest command trigger starting at a word
+     * (on a tie, the dictation language's commands win over English ones)
+     * @param {Array<string>} keys - Normalized words of the transcript
+     * @param {number} index - Word to start at
+     * @returns {Object|null} { trigger, length (words), commandType, action, set }
      */
-    process(text) {
-        if (!text) {
-            return { text: '', hasCommand: false };
+    matchCommand(keys, index) {
+        let best = null;
+
+        for (const set of this.getActiveCommandSets()) {
+            for (const [category, commandType] of Object.entries(COMMAND_TYPES)) {
+                for (const [trigger, action] of Object.entries(set.commands[category] || {})) {
+                    const triggerWords = trigger.split(' ').map(word => CommandProcessor.normalizeWord(word));
+                    if (best && triggerWords.length <= best.length) continue;
+
+                    if (triggerWords.every((word, offset) => keys[index + offset] === word)) {
+                        best = { trigger, length: triggerWords.length, commandType, action, set };
+                    }
+                }
+            }
         }
 
-        const lowerText = text.toLowerCase().trim();
-        let processedText = text;
-        let hasCommand = false;
-        let command = null;
+        return best;
+    }
 
-        // Check for punctuation commands
-        for (const [key, value] of Object.entries(this.commands.punctuation)) {
-            if (lowerText === key) {
-                return {
-                    text: value,
-                    hasCommand: true,
-                    commandType: 'PUNCTUATION',
-                    originalCommand: key
-                };
+    /**
+     * Look up a trigger in a command set
+     * @param {Object} set - Command set from getActiveCommandSets()
+     * @param {string} trigger - Trigger
+     * @returns {Object|null} { commandType, action }
+     */
+    findTrigger(set, trigger) {
+        for (const [category, commandType] of Object.entries(COMMAND_TYPES)) {
+            const action = set.commands[category]?.[trigger];
+            if (action !== undefined && commandType !== 'SEQUENCE') {
+                return { commandType, action };
             }
         }
+        return null;
+    }
+
+    /**
+     * Get the command sets listened for, most specific first: the dictation
+     * language's commands, then English (if it is the language or the fallback)
+     * @returns {Array<Object>} Sets: { commands, standalone (Set of triggers),
+     *                            final (Set of triggers only at the end of the transcript) }
+     */
+    getActiveCommandSets() {
+        const sets = [];
+        const localized = COMMAND_SETS[this.language];
+
+        if (localized) {
+            sets.push({ commands: localized, standalone: new Set(localized.standalone), final: new Set(localized.final) });
+        }
+        if (this.isEnglishActive()) {
+            sets.push({ commands: this.commands, standalone: this.standaloneTriggers, final: this.finalTriggers });
+        }
+        return sets;
+    }
+
+    /**
+     * Check if English commands are listened for
+     * @returns {boolean}
+     */
+    isEnglishActive() {
+        return this.language === 'en' || !COMMAND_SETS[this.language] || this.englishFallback;
+    }
+
+    /**
+     * Use the commands of a dictation language
+     * @param {string} languageCode - Language code (e.g. 'de-DE')
+     */
+    setLanguage(languageCode) {
+        this.language = (languageCode || 'en').split('-')[0].toLowerCase();
+    }
+
+    /**
+     * Check if English commands stay active in other languages
+     * @returns {boolean}
+     */
+    isEnglishFallback() {
+        return this.englishFallback;
+    }
+
+    /**
+     * Keep English commands active in other languages, or not
+     * @param {boolean} enabled - Listen for English commands too
+     */
+    setEnglishFallback(enabled) {
+        this.englishFallback = !!enabled;
+        try {
+            localStorage.setItem(ENGLISH_FALLBACK_KEY, this.englishFallback ? 'on' : 'off');
+        } catch (error) {
+            console.error('[CommandProcessor] Failed to save English commands setting:', error);
+        }
+    }
 
-        // Check for navigation commands
-        for (const [key, value] of Object.entries(this.commands.navigation)) {
-            if (lowerText === key || lowerText.includes(key)) {
-                return {
-                    text: '',
-                    hasCommand: true,
-                    commandType: 'NAVIGATION',
-                    command: value,
-                    originalCommand: key
-                };
+    /**
+     * Load the English fallback setting from localStorage (on by default)
+     * @returns {boolean}
+     */
+    loadEnglishFallback() {
+        try {
+            return localStorage.getItem(ENGLISH_FALLBACK_KEY) !== 'off';
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Parse a whole transcript as a range command ("select last three words",
+     * "delete the word Tuesday", "go back five words")
+     * @param {Array<string>} words - Words as recognised
+     * @param {Array<string>} keys - Normalized words
+     * @returns {Object|null} Command part with args { unit, count, direction } or { target }
+     */
+    parseRangeCommand(words, keys) {
+        let verb = null;
+        let index = 0;
+
+        for (const [phrase, value] of Object.entries(RANGE_VERBS)) {
+            const phraseWords = phrase.split(' ');
+            if (phraseWords.every((word, offset) => keys[offset] === word)) {
+                verb = value;
+                index = phraseWords.length;
+                break;
             }
         }
+        if (!verb) return null;
+
+        if (keys[index] === 'the') index++;
+
+        let args;
+        if (verb.command !== 'MOVE' && TARGET_WORDS[keys[index]]) {
+            const targetWords = words.slice(index + 1);
+            if (targetWords.length > TARGET_WORDS[keys[index]]) return null;
 
-        // Check for editing commands
-        for (const [key, value] of Object.entries(this.commands.editing)) {
-            if (lowerText === key || lowerText.includes(key)) {
-                return {
-                    text: '',
-                    hasCommand: true,
-                    commandType: 'EDITING',
-                    command: value,
-                    originalCommand: key
-                };
+            // The target keeps the words as recognised, without trailing punctuation
+            const target = targetWords.join(' ').replace(/[^\p{L}\p{M}\p{N}]+$/u, '');
+            if (!target) return null;
+            args = { target };
+        } else {
+            let direction = verb.direction || null;
+            if (RANGE_DIRECTIONS[keys[index]]) {
+                direction = direction || RANGE_DIRECTIONS[keys[index]];
+                index++;
             }
+
+            const count = CommandProcessor.parseCount(keys[index]);
+            if (count) index++;
+
+            // A bare "delete sentence" stays the editing command
+            const unit = RANGE_UNITS[keys[index]];
+            if (!unit || index !== keys.length - 1 || (!direction && !count)) return null;
+
+            args = { unit, count: count || 1, direction: direction || 'back' };
         }
 
-        // No command found, return original text
         return {
-            text: processedText,
-            hasCommand: false
+            type: 'command',
+            commandType: 'RANGE',
+            command: verb.command,
+            text: '',
+            args: args,
+            originalCommand: keys.join(' '),
+            source: words.join(' ')
         };
     }
 
     /**
-     * Auto-capitalize sentences
+     * Read a count, spoken or in digits
+     * @param {string} key - Normalized word
+     * @returns {number|null} Count, or null if the word is not one
+     */
+    static parseCount(key) {
+        if (/^\d+$/.test(key || '')) {
+            const count = parseInt(key, 10);
+            return count > 0 ? count : null;
+        }
+        return NUMBER_WORDS[key] || null;
+    }
+
+    /**
+     * Check if a transcript is only dictated text (no commands)
+     * @param {Array<Object>} parts - Parts from parse()
+     * @returns {boolean}
+     */
+    isPlainText(parts) {
+        return parts.length === 1 && parts[0].type === 'text';
+    }
+
+    /**
+     * Normalize a word for matching triggers: lower case, without the
+     * punctuation some engines attach ("Comma," → "comma")
+     * @param {string} word - Word as recognised
+     * @returns {string} Normalized word
+     */
+    static normalizeWord(word) {
+        return word.normalize('NFC').toLowerCase().replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, '');
+    }
+
+    /**
+     * Auto-capitalize sentences and space the text from the words around it
      * @param {string} text - Text to capitalize
      * @param {string} previousText - Previous text for context
+     * @param {string} nextText - Text after the cursor, when inserting into existing text
      * @returns {string} Capitalized text
      */
-    autoCapitalize(text, previousText = '') {
+    autoCapitalize(text, previousText = '', nextText = '') {
         if (!text) return text;
 
+        const capitalized = this.capitalizeAfter(text, previousText);
+
+        // Keep the new words apart from a word straight after the cursor
+        if (/^[\p{L}\p{N}]/u.test(nextText) && !/\s$/.test(capitalized)) {
+            return capitalized + ' ';
+        }
+
+        return capitalized;
+    }
+
+    /**
+     * Capitalize text and add a leading space, from the text before it
+     * @param {string} text - Text to capitalize
+     * @param {string} previousText - Previous text for context
+     * @returns {string} Capitalized text
+     */
+    capitalizeAfter(text, previousText) {
+        // Text follows an opening mark ("(", "¿") directly
+        const opened = OPENING_MARKS.includes(previousText.trim().slice(-1));
+        const context = opened ? previousText.trim().slice(0, -1) : previousText;
+
         // Capitalize if it's the start of document
-        if (!previousText || previousText.trim() === '') {
+        if (!context || context.trim() === '') {
             return text.charAt(0).toUpperCase() + text.slice(1);
         }
 
         // Capitalize after sentence-ending punctuation
-        const lastChar = previousText.trim().slice(-1);
-        if (['.', '!', '?'].includes(lastChar)) {
-            return ' ' + text.charAt(0).toUpperCase() + text.slice(1);
+        const lastChar = context.trim().slice(-1);
+        if (SENTENCE_ENDS.includes(lastChar)) {
+            return (opened ? '' : ' ') + text.charAt(0).toUpperCase() + text.slice(1);
         }
 
         // Add space before text if needed
-        if (previousText && !previousText.endsWith(' ')) {
+        if (!opened && !previousText.endsWith(' ')) {
             return ' ' + text;
         }
 
         return text;
     }
 
+    /**
+     * Space a punctuation mark: opening marks ("(", "¿") are separated
+     * from the word before them, others attach to it
+     * @param {string} mark - Punctuation to insert
+     * @param {string} previousText - Text before the cursor
+     * @returns {string} Text to insert
+     */
+    spacePunctuation(mark, previousText = '') {
+        if (OPENING_MARKS.includes(mark) && previousText && !/\s$/.test(previousText)) {
+            return ' ' + mark;
+        }
+        return mark;
+    }
+
     /**
      * Clean up text spacing
      * @param {string} text - Text to clean
@@ -168,13 +535,21 @@ export class CommandProcessor {
 
     /**
      * Add custom command
-     * @param {string} commandType - Type of command (punctuation, navigation, editing)
+     * @param {string} commandType - Type of command (punctuation, navigation, cursor, editing, formatting, formatModes)
      * @param {string} trigger - Command trigger word/phrase
      * @param {string} action - Action to perform or text to insert
+     * @param {boolean} standalone - Only a command when it is the whole transcript
      */
-    addCustomCommand(commandType, trigger, action) {
+    addCustomCommand(commandType, trigger, action, standalone = false) {
         if (this.commands[commandType]) {
-            this.commands[commandType][trigger.toLowerCase()] = action;
+            const key = trigger.toLowerCase().trim().split(/\s+/).join(' ');
+            this.commands[commandType][key] = action;
+            this.finalTriggers.delete(key);
+            if (standalone) {
+                this.standaloneTriggers.add(key);
+            } else {
+                this.standaloneTriggers.delete(key);
+            }
         }
     }
 
@@ -185,7 +560,10 @@ export class CommandProcessor {
      */
     removeCustomCommand(commandType, trigger) {
         if (this.commands[commandType]) {
-            delete this.commands[commandType][trigger.toLowerCase()];
+            const key = trigger.toLowerCase().trim().split(/\s+/).join(' ');
+            delete this.commands[commandType][key];
+            this.standaloneTriggers.delete(key);
+            this.finalTriggers.delete(key);
         }
     }
 
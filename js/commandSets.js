@@ -0,0 +1,148 @@
+/**
+ * CommandSets Module
+ * Voice command triggers for dictation languages other than English,
+ * keyed by base language code. English commands are in CommandProcessor
+ * Follows Single Responsibility Principle: Only holds localized command tables
+ *
+ * Each set has the same categories as CommandProcessor.initializeCommands(), plus:
+ * - sequences: a trigger that runs other triggers of the set in turn
+ * - standalone: triggers that are only commands when they are the whole transcript
+ * - final: triggers that are also everyday words ("der Punkt ist wichtig"), only
+ *   commands at the end of the transcript
+ */
+
+export const COMMAND_SETS = {
+    hi: {
+        punctuation: {
+            'अल्पविराम': ',',
+            'पूर्ण विराम': '।',
+            'पूर्णविराम': '।',
+            'प्रश्नवाचक चिह्न': '?',
+            'प्रश्न चिह्न': '?',
+            'विस्मयादिबोधक चिह्न': '!',
+            'कोलन': ':',
+            'अर्धविराम': ';',
+            'डैश': '-',
+            'उद्धरण चिह्न': '"',
+            'कोष्ठक खोलें': '(',
+            'कोष्ठक बंद करें': ')'
+        },
+        navigation: {
+            'नई पंक्ति': 'NEW_LINE',
+            'नई लाइन': 'NEW_LINE',
+            'नया अनुच्छेद': 'NEW_PARAGRAPH',
+            'नया पैराग्राफ': 'NEW_PARAGRAPH',
+            'अगला फ़ील्ड': 'NEXT_PLACEHOLDER'
+        },
+        editing: {
+            'इसे हटाओ': 'DELETE_SENTENCE',
+            'वाक्य हटाओ': 'DELETE_SENTENCE',
+            'इसे सुधारो': 'CORRECT_THAT',
+            'पूर्ववत करें': 'UNDO',
+            'फिर से करें': 'REDO'
+        },
+        sequences: {},
+        standalone: ['इसे हटाओ', 'वाक्य हटाओ', 'इसे सुधारो', 'पूर्ववत करें', 'फिर से करें'],
+        final: []
+    },
+
+    bn: {
+        punctuation: {
+            'কমা': ',',
+            'দাঁড়ি': '।',
+            'পূর্ণচ্ছেদ': '।',
+            'প্রশ্নবোধক চিহ্ন': '?',
+            'বিস্ময়সূচক চিহ্ন': '!',
+            'কোলন': ':',
+            'সেমিকোলন': ';',
+            'ড্যাশ': '-',
+            'উদ্ধৃতি চিহ্ন': '"',
+            'বন্ধনী শুরু': '(',
+            'বন্ধনী শেষ': ')'
+        },
+        navigation: {
+            'নতুন লাইন': 'NEW_LINE',
+            'নতুন অনুচ্ছেদ': 'NEW_PARAGRAPH',
+            'পরের ঘর': 'NEXT_PLACEHOLDER'
+        },
+        editing: {
+            'এটা মুছে দাও': 'DELETE_SENTENCE',
+            'বাক্য মুছে দাও': 'DELETE_SENTENCE',
+            'এটা ঠিক করো': 'CORRECT_THAT',
+            'আগের অবস্থায় ফেরাও': 'UNDO',
+            'আবার করো': 'REDO'
+        },
+        sequences: {},
+        standalone: ['এটা মুছে দাও', 'বাক্য মুছে দাও', 'এটা ঠিক করো', 'আগের অবস্থায় ফেরাও', 'আবার করো'],
+        final: []
+    },
+
+    de: {
+        punctuation: {
+            'komma': ',',
+            'punkt': '.',
+            'fragezeichen': '?',
+            'ausrufezeichen': '!',
+            'doppelpunkt': ':',
+            'semikolon': ';',
+            'strichpunkt': ';',
+            'bindestrich': '-',
+            'gedankenstrich': '-',
+            'anführungszeichen': '"',
+            'klammer auf': '(',
+            'klammer zu': ')'
+        },
+        navigation: {
+            'neue zeile': 'NEW_LINE',
+            'neuer absatz': 'NEW_PARAGRAPH',
+            'nächstes feld': 'NEXT_PLACEHOLDER'
+        },
+        editing: {
+            'das löschen': 'DELETE_SENTENCE',
+            'satz löschen': 'DELETE_SENTENCE',
+            'das korrigieren': 'CORRECT_THAT',
+            'rückgängig': 'UNDO',
+            'wiederholen': 'REDO'
+        },
+        sequences: {},
+        standalone: ['das löschen', 'satz löschen', 'das korrigieren', 'rückgängig', 'wiederholen'],
+        final: ['punkt']
+    },
+
+    es: {
+        punctuation: {
+            'coma': ',',
+            'punto': '.',
+            'punto y seguido': '.',
+            'punto y coma': ';',
+            'dos puntos': ':',
+            'signo de interrogación': '?',
+            'abrir interrogación': '¿',
+            'cerrar interrogación': '?',
+            'signo de exclamación': '!',
+            'abrir exclamación': '¡',
+            'cerrar exclamación': '!',
+            'guion': '-',
+            'comillas': '"',
+            'abrir paréntesis': '(',
+            'cerrar paréntesis': ')'
+        },
+        navigation: {
+            'nueva línea': 'NEW_LINE',
+            'nuevo párrafo': 'NEW_PARAGRAPH',
+            'siguiente campo': 'NEXT_PLACEHOLDER'
+        },
+        editing: {
+            'borrar eso': 'DELETE_SENTENCE',
+            'borrar frase': 'DELETE_SENTENCE',
+            'corregir eso': 'CORRECT_THAT',
+            'deshacer': 'UNDO',
+            'rehacer': 'REDO'
+        },
+        sequences: {
+            'punto y aparte': ['punto', 'nuevo párrafo']
+        },
+        standalone: ['borrar eso', 'borrar frase', 'corregir eso', 'deshacer', 'rehacer'],
+        final: ['punto', 'guion', 'comillas']
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * ConfidenceMarker Module
+ * Marks dictated phrases the recogniser was unsure about and steps through
+ * them for proofreading. A phrase keeps its confidence (data-confidence) until
+ * the user edits or accepts it; the mark itself follows the current threshold
+ * Follows Single Responsibility Principle: Only manages uncertainty marks
+ */
+
+const STORAGE_KEY = 'voicescript-confidence-threshold';
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+
+export const UNCERTAIN_CLASS = 'uncertain';
+
+const SEGMENT_SELECTOR = '.dictation-segment[data-confidence]';
+
+export class ConfidenceMarker {
+    /**
+     * @param {HTMLElement} editor - Editor element
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.threshold = this.load();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Remove the mark from a phrase as soon as the user edits it
+     */
+    setupEventListeners() {
+        // input only fires for user edits, not for dictation or helpers
+        this.editor?.addEventListener('input', () => {
+            const selection = window.getSelection();
+            if (selection.rangeCount === 0) return;
+
+            let node = selection.anchorNode;
+            if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentNode;
+
+            const segment = node?.closest?.(SEGMENT_SELECTOR);
+            if (segment && this.editor.contains(segment)) {
+                this.accept(segment);
+            }
+        });
+    }
+
+    /**
+     * Get the confidence threshold
+     * @returns {number} Threshold between 0 (marking off) and 1
+     */
+    getThreshold() {
+        return this.threshold;
+    }
+
+    /**
+     * Change the confidence threshold and re-mark the document
+     * @param {number} threshold - Threshold between 0 (marking off) and 1
+     */
+    setThreshold(threshold) {
+        const value = Number(threshold);
+        this.threshold = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : DEFAULT_CONFIDENCE_THRESHOLD;
+        this.save();
+        this.refresh();
+    }
+
+    /**
+     * Mark or unmark one phrase against the threshold
+     * @param {HTMLElement} segment - Segment element
+     */
+    mark(segment) {
+        const confidence = Number(segment.dataset.confidence);
+        segment.classList.toggle(UNCERTAIN_CLASS, Number.isFinite(confidence) && confidence < this.threshold);
+    }
+
+    /**
+     * Re-apply marks to the whole document (after loading or a threshold change)
+     */
+    refresh() {
+        this.editor?.querySelectorAll(SEGMENT_SELECTOR).forEach(segment => this.mark(segment));
+
+        // Marks left behind on phrases that have since been accepted
+        this.editor?.querySelectorAll(`.${UNCERTAIN_CLASS}:not([data-confidence])`).forEach(element => {
+            element.classList.remove(UNCERTAIN_CLASS);
+        });
+    }
+
+    /**
+     * Accept a phrase: it is never marked again
+     * @param {HTMLElement} segment - Segment element
+     */
+    accept(segment) {
+        delete segment.dataset.confidence;
+        segment.classList.remove(UNCERTAIN_CLASS);
+    }
+
+    /**
+     * Get marked phrases in document order
+     * @returns {Array<HTMLElement>} Segment elements
+     */
+    getUncertain() {
+        return this.editor ? Array.from(this.editor.querySelectorAll(`.${UNCERTAIN_CLASS}`)) : [];
+    }
+
+    /**
+     * Get the marked phrase containing the cursor
+     * @returns {HTMLElement|null} Segment element
+     */
+    getUncertainAtCaret() {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        return this.getUncertain().find(segment => range.intersectsNode(segment)) || null;
+    }
+
+    /**
+     * Select the marked phrase after (or before) the cursor, wrapping around
+     * @param {boolean} backwards - Search backwards
+     * @returns {HTMLElement|null} Selected phrase, or null if none are marked
+     */
+    selectNext(backwards = false) {
+        const segments = this.getUncertain();
+        if (segments.length === 0) return null;
+
+        const selection = window.getSelection();
+        let target = null;
+
+        if (selection.rangeCount > 0 && this.editor.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+            const caret = selection.getRangeAt(0).cloneRange();
+            caret.collapse(backwards);
+
+            // comparePoint: 1 = after the caret, -1 = before it
+            const candidates = segments.filter(segment => backwards
+                ? caret.comparePoint(segment, segment.childNodes.length) === -1
+                : caret.comparePoint(segment, 0) === 1);
+            target = backwards ? candidates[candidates.length - 1] : candidates[0];
+        }
+
+        if (!target) {
+            target = backwards ? segments[segments.length - 1] : segments[0];
+        }
+
+        this.editor.focus();
+        const range = document.createRange();
+        range.selectNodeContents(target);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        target.scrollIntoView({ block: 'nearest' });
+        return target;
+    }
+
+    /**
+     * Load the threshold from localStorage
+     * @returns {number} Threshold
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const value = stored === null ? NaN : Number(stored);
+            if (Number.isFinite(value) && value >= 0 && value <= 1) {
+                return value;
+            }
+        } catch (error) {
+            console.error('[ConfidenceMarker] Failed to load threshold:', error);
+        }
+
+        return DEFAULT_CONFIDENCE_THRESHOLD;
+    }
+
+    /**
+     * Persist the threshold to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, String(this.threshold));
+        } catch (error) {
+            console.error('[ConfidenceMarker] Failed to save threshold:', error);
+        }
+    }
+}
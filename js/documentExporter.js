@@ -0,0 +1,461 @@
+/**
+ * DocumentExporter Module
+ * Serialises editor content to Markdown, HTML, plain text and DOCX
+ * Follows Single Responsibility Principle: Only converts content to export formats
+ */
+
+import { ZipWriter } from './zipWriter.js';
+
+const BLOCK_TAGS = new Set([
+    'DIV', 'P', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'PRE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6'
+]);
+
+const BULLET_PATTERN = /^\s*•\s*/;
+
+// Fonts able to render Devanagari and Bengali in Word
+const COMPLEX_SCRIPT_FONTS = {
+    hi: 'Nirmala UI',
+    bn: 'Nirmala UI'
+};
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+export class DocumentExporter {
+    constructor(textEditor) {
+        this.textEditor = textEditor;
+    }
+
+    /**
+     * Parse editor content into blocks of formatted runs
+     * Paragraphs come from block elements (insertParagraph), lines from
+     * <br> (insertNewLine) and "\n" text, list items from "•" lines (TextHelpers)
+     * @param {HTMLElement} [root] - Element to parse (defaults to the editor)
+     * @returns {Array} Blocks: { type: 'paragraph', lines } or { type: 'list', items }
+     */
+    getBlocks(root = this.textEditor.editor) {
+        const paragraphs = [];
+        let lines = [[]];
+
+        const addRun = (text, format) => {
+            const line = lines[lines.length - 1];
+            const previous = line[line.length - 1];
+            if (previous && DocumentExporter.sameFormat(previous, format)) {
+                previous.text += text;
+            } else {
+                line.push({ text, ...format });
+            }
+        };
+
+        const newLine = () => {
+            lines.push([]);
+        };
+
+        const endParagraph = () => {
+            // A trailing <br> only keeps an empty block open; it is not content
+            while (lines.length > 1 && lines[lines.length - 1].length === 0) {
+                lines.pop();
+            }
+            if (lines.some(line => line.length > 0)) {
+                paragraphs.push(lines);
+            }
+            lines = [[]];
+        };
+
+        const walk = (node, format) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                node.textContent.split('\n').forEach((part, index) => {
+                    if (index > 0) newLine();
+                    if (part) addRun(part, format);
+                });
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            if (node.nodeName === 'BR') {
+                newLine();
+                return;
+            }
+
+            const childFormat = DocumentExporter.getElementFormat(node, format);
+            const isBlock = BLOCK_TAGS.has(node.nodeName);
+
+            if (isBlock) endParagraph();
+            node.childNodes.forEach(child => walk(child, childFormat));
+            if (isBlock) endParagraph();
+        };
+
+        root.childNodes.forEach(child => walk(child, {
+            bold: false,
+            italic: false,
+            underline: false,
+            lang: null
+        }));
+        endParagraph();
+
+        return DocumentExporter.groupBlocks(paragraphs);
+    }
+
+    /**
+     * Export as plain text
+     * @param {HTMLElement} [root] - Element to convert (defaults to the editor)
+     * @returns {string} Plain text with line and paragraph breaks
+     */
+    toPlainText(root) {
+        return this.getBlocks(root).map(block => {
+            if (block.type === 'list') {
+                return block.items.map(runs => '• ' + DocumentExporter.runsToText(runs)).join('\n');
+            }
+            return block.lines.map(runs => DocumentExporter.runsToText(runs)).join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Export as Markdown
+     * @returns {string} Markdown text
+     */
+    toMarkdown() {
+        return this.getBlocks().map(block => {
+            if (block.type === 'list') {
+                return block.items.map(runs => '- ' + this.runsToMarkdown(runs)).join('\n');
+            }
+            // Two trailing spaces keep single line breaks inside a paragraph
+            return block.lines.map(runs => this.runsToMarkdown(runs)).join('  \n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Export as a standalone HTML document
+     * @param {string} title - Document title
+     * @returns {string} HTML document
+     */
+    toHTML(title = 'Document') {
+        const body = this.toHTMLBody();
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${DocumentExporter.escapeHTML(title)}</title>
+<style>
+    body { font-family: 'Inter', 'Segoe UI', sans-serif; line-height: 1.7; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #292524; }
+    [lang="hi"] { font-family: 'Noto Sans Devanagari', 'Nirmala UI', 'Mangal', sans-serif; }
+    [lang="bn"] { font-family: 'Noto Sans Bengali', 'Nirmala UI', 'Vrinda', sans-serif; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Convert content to clean HTML paragraphs and lists (no document wrapper)
+     * @param {HTMLElement} [root] - Element to convert (defaults to the editor)
+     * @returns {string} HTML fragment
+     */
+    toHTMLBody(root) {
+        return this.getBlocks(root).map(block => {
+            if (block.type === 'list') {
+                const items = block.items.map(runs => `    <li>${this.runsToHTML(runs)}</li>`).join('\n');
+                return `<ul>\n${items}\n</ul>`;
+            }
+            return `<p>${block.lines.map(runs => this.runsToHTML(runs)).join('<br>\n')}</p>`;
+        }).join('\n');
+    }
+
+    /**
+     * Export as a Word document
+     * @param {string} title - Document title
+     * @returns {Blob} .docx file
+     */
+    toDocx(title = 'Document') {
+        const zip = new ZipWriter();
+
+        zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+
+        zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+
+        zip.addFile('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${DocumentExporter.escapeXML(title)}</dc:title>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`);
+
+        zip.addFile('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`);
+
+        zip.addFile('word/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Nirmala UI"/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/><w:ind w:left="720"/></w:pPr></w:style>
+</w:styles>`);
+
+        zip.addFile('word/numbering.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${WORD_NAMESPACE}">
+<w:abstractNum w:abstractNumId="0">
+<w:multiLevelType w:val="singleLevel"/>
+<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>
+</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`);
+
+        zip.addFile('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}">
+<w:body>
+${this.blocksToWordXML(this.getBlocks())}
+</w:body>
+</w:document>`);
+
+        return zip.toBlob('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    }
+
+    /**
+     * Convert blocks to WordprocessingML paragraphs
+     * @param {Array} blocks - Parsed blocks
+     * @returns {string} <w:p> elements
+     */
+    blocksToWordXML(blocks) {
+        const paragraphs = [];
+
+        blocks.forEach(block => {
+            if (block.type === 'list') {
+                block.items.forEach(runs => {
+                    paragraphs.push(
+                        '<w:p><w:pPr><w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>' +
+                        this.runsToWordXML(runs) + '</w:p>'
+                    );
+                });
+                return;
+            }
+
+            const content = block.lines
+                .map(runs => this.runsToWordXML(runs))
+                .join('<w:r><w:br/></w:r>');
+            paragraphs.push(`<w:p>${content}</w:p>`);
+        });
+
+        // Word requires at least one paragraph in the body
+        return paragraphs.join('\n') || '<w:p/>';
+    }
+
+    /**
+     * Convert runs to WordprocessingML runs
+     * @param {Array} runs - Formatted runs
+     * @returns {string} <w:r> elements
+     */
+    runsToWordXML(runs) {
+        return runs.map(run => {
+            let props = '';
+            if (run.lang && COMPLEX_SCRIPT_FONTS[run.lang]) {
+                props += `<w:rFonts w:cs="${COMPLEX_SCRIPT_FONTS[run.lang]}"/>`;
+            }
+            if (run.bold) props += '<w:b/><w:bCs/>';
+            if (run.italic) props += '<w:i/><w:iCs/>';
+            if (run.underline) props += '<w:u w:val="single"/>';
+            if (run.lang) props += `<w:lang w:bidi="${run.lang}-IN"/>`;
+
+            const rPr = props ? `<w:rPr>${props}</w:rPr>` : '';
+            return `<w:r>${rPr}<w:t xml:space="preserve">${DocumentExporter.escapeXML(run.text)}</w:t></w:r>`;
+        }).join('');
+    }
+
+    /**
+     * Convert runs to Markdown inline text
+     * @param {Array} runs - Formatted runs
+     * @returns {string} Markdown
+     */
+    runsToMarkdown(runs) {
+        return runs.map((run, index) => {
+            let text = DocumentExporter.escapeMarkdown(run.text, index === 0);
+            if (!run.bold && !run.italic && !run.underline) return text;
+
+            // Emphasis markers must touch the text, so keep edge spaces outside
+            const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            if (!core) return text;
+
+            let wrapped = core;
+            if (run.underline) wrapped = `<u>${wrapped}</u>`;
+            if (run.italic) wrapped = `*${wrapped}*`;
+            if (run.bold) wrapped = `**${wrapped}**`;
+            return leading + wrapped + trailing;
+        }).join('');
+    }
+
+    /**
+     * Convert runs to inline HTML
+     * @param {Array} runs - Formatted runs
+     * @returns {string} HTML
+     */
+    runsToHTML(runs) {
+        return runs.map(run => {
+            let html = DocumentExporter.escapeHTML(run.text);
+            if (run.underline) html = `<u>${html}</u>`;
+            if (run.italic) html = `<em>${html}</em>`;
+            if (run.bold) html = `<strong>${html}</strong>`;
+            if (run.lang) html = `<span lang="${run.lang}">${html}</span>`;
+            return html;
+        }).join('');
+    }
+
+    /**
+     * Work out formatting inherited by an element's children
+     * @param {HTMLElement} element - Element
+     * @param {Object} format - Parent formatting
+     * @returns {Object} Formatting for children
+     */
+    static getElementFormat(element, format) {
+        const result = { ...format };
+        const tag = element.nodeName;
+        const style = element.style || {};
+
+        if (tag === 'B' || tag === 'STRONG' || style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600) {
+            result.bold = true;
+        }
+        if (tag === 'I' || tag === 'EM' || style.fontStyle === 'italic') {
+            result.italic = true;
+        }
+        if (tag === 'U' || (style.textDecoration || '').includes('underline')) {
+            result.underline = true;
+        }
+
+        const langClass = Array.from(element.classList || []).find(name => name.startsWith('lang-'));
+        if (langClass) {
+            result.lang = langClass.slice('lang-'.length);
+        } else if (COMPLEX_SCRIPT_FONTS[element.getAttribute?.('lang')]) {
+            // Dictated phrase tagged by language detection
+            result.lang = element.getAttribute('lang');
+        }
+
+        return result;
+    }
+
+    /**
+     * Split paragraphs into paragraph and bullet list blocks
+     * @param {Array} paragraphs - Paragraphs as arrays of lines
+     * @returns {Array} Blocks
+     */
+    static groupBlocks(paragraphs) {
+        const blocks = [];
+
+        paragraphs.forEach(lines => {
+            let current = null;
+
+            lines.forEach(runs => {
+                const isBullet = BULLET_PATTERN.test(DocumentExporter.runsToText(runs));
+                const type = isBullet ? 'list' : 'paragraph';
+
+                if (!current || current.type !== type) {
+                    current = type === 'list' ? { type, items: [] } : { type, lines: [] };
+                    blocks.push(current);
+                }
+
+                if (isBullet) {
+                    current.items.push(DocumentExporter.stripBullet(runs));
+                } else {
+                    current.lines.push(runs);
+                }
+            });
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Remove the leading "•" marker from a line
+     * @param {Array} runs - Formatted runs
+     * @returns {Array} Runs without the bullet
+     */
+    static stripBullet(runs) {
+        const result = runs.map(run => ({ ...run }));
+        while (result.length > 0) {
+            const first = result[0];
+            first.text = first.text.replace(BULLET_PATTERN, '').replace(/^\s+/, '');
+            if (first.text) break;
+            result.shift();
+        }
+        return result;
+    }
+
+    /**
+     * Join run texts
+     * @param {Array} runs - Formatted runs
+     * @returns {string} Plain text
+     */
+    static runsToText(runs) {
+        return runs.map(run => run.text).join('');
+    }
+
+    /**
+     * Check if a run has the given formatting
+     * @param {Object} run - Run
+     * @param {Object} format - Formatting
+     * @returns {boolean}
+     */
+    static sameFormat(run, format) {
+        return run.bold === format.bold &&
+            run.italic === format.italic &&
+            run.underline === format.underline &&
+            run.lang === format.lang;
+    }
+
+    /**
+     * Escape Markdown syntax characters
+     * @param {string} text - Text
+     * @param {boolean} atLineStart - Whether text starts a line
+     * @returns {string} Escaped text
+     */
+    static escapeMarkdown(text, atLineStart) {
+        let escaped = text.replace(/([\\`*_[\]<>])/g, '\\$1');
+        if (atLineStart) {
+            escaped = escaped
+                .replace(/^(\s*)([#+-])/, '$1\\$2')
+                .replace(/^(\s*\d+)\./, '$1\\.');
+        }
+        return escaped;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape XML special characters and drop characters XML cannot hold
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXML(text) {
+        return DocumentExporter.escapeHTML(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+}
@@ -0,0 +1,417 @@
+/**
+ * DocumentImporter Module
+ * Converts .txt, .md, .html and .docx files into safe editor HTML
+ * Follows Single Responsibility Principle: Only converts imported files
+ */
+
+import { ZipReader } from './zipReader.js';
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+export const IMPORT_EXTENSIONS = ['txt', 'md', 'markdown', 'html', 'htm', 'docx'];
+
+// Elements removed together with everything inside them
+const DROPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'TEMPLATE',
+    'HEAD', 'TITLE', 'META', 'LINK', 'BASE', 'SVG', 'MATH', 'CANVAS', 'VIDEO', 'AUDIO',
+    'IMG', 'PICTURE', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'
+]);
+
+// Elements that become paragraph blocks
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'BLOCKQUOTE', 'PRE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN',
+    'ASIDE', 'NAV', 'FIGURE', 'ADDRESS', 'UL', 'OL', 'DL', 'TABLE', 'TR', 'DT', 'DD'
+]);
+
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+// Script ranges tagged with the same classes TypingMode.insertTextWithLanguage uses.
+// Dandas (U+0964/U+0965) are shared by both scripts, so they only extend a run.
+const SCRIPT_RUNS = [
+    { lang: 'hi', pattern: /[\u0900-\u0963\u0966-\u097F]+(?:[\s,.;:!?'"()\u0964\u0965-]+[\u0900-\u0963\u0966-\u097F]+)*[\u0964\u0965]?/g },
+    { lang: 'bn', pattern: /[\u0980-\u09FF]+(?:[\s,.;:!?'"()\u0964\u0965-]+[\u0980-\u09FF]+)*[\u0964\u0965]?/g }
+];
+
+export class DocumentImporter {
+    /**
+     * Convert a file to sanitised editor HTML
+     * @param {File} file - File to import
+     * @returns {Promise<string>} Editor HTML
+     */
+    async importFile(file) {
+        const extension = DocumentImporter.getExtension(file.name);
+        let html;
+
+        switch (extension) {
+            case 'txt':
+                html = this.textToHTML(await file.text());
+                break;
+            case 'md':
+            case 'markdown':
+                html = this.markdownToHTML(await file.text());
+                break;
+            case 'html':
+            case 'htm':
+                html = await file.text();
+                break;
+            case 'docx':
+                html = await this.docxToHTML(await file.arrayBuffer());
+                break;
+            default:
+                throw new Error(`Unsupported file type: .${extension}`);
+        }
+
+        return this.sanitize(html);
+    }
+
+    /**
+     * Convert plain text: blank lines split paragraphs, newlines become <br>
+     * @param {string} text - Plain text
+     * @returns {string} HTML
+     */
+    textToHTML(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<div>${paragraph.split('\n').map(DocumentImporter.escapeHTML).join('<br>')}</div>`)
+            .join('');
+    }
+
+    /**
+     * Convert the Markdown subset the exporter writes (plus common syntax)
+     * @param {string} markdown - Markdown text
+     * @returns {string} HTML
+     */
+    markdownToHTML(markdown) {
+        const blocks = markdown.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+        return blocks.map(block => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            if (lines.length === 0) return '';
+
+            // Fenced code is kept as literal lines
+            if (/^\s*(```|~~~)/.test(lines[0])) {
+                const code = lines.filter(line => !/^\s*(```|~~~)/.test(line));
+                return `<div>${code.map(DocumentImporter.escapeHTML).join('<br>')}</div>`;
+            }
+
+            let html = '';
+            lines.forEach((line, index) => {
+                const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+                const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+                const content = line.replace(/^\s*>\s?/, '');
+                const previous = lines[index - 1];
+
+                if (index > 0) {
+                    // Hard break after list items, headings, "  " or "\" endings; soft wrap otherwise
+                    const hardBreak = item || heading || /( {2}|\\)$/.test(previous) ||
+                        /^\s*(?:[-*+]|\d+[.)])\s+/.test(previous) || /^\s*#{1,6}\s+/.test(previous);
+                    html += hardBreak ? '<br>' : ' ';
+                }
+
+                if (heading) {
+                    html += `<b>${this.markdownInline(heading[1])}</b>`;
+                } else if (item) {
+                    html += '• ' + this.markdownInline(item[1]);
+                } else {
+                    html += this.markdownInline(content.replace(/( {2,}|\\)$/, ''));
+                }
+            });
+
+            return `<div>${html}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Convert inline Markdown (emphasis, code, links, escapes)
+     * @param {string} text - Markdown line
+     * @returns {string} HTML
+     */
+    markdownInline(text) {
+        const escapes = [];
+
+        // Protect backslash escapes from emphasis parsing
+        let html = text.replace(/\\([\\`*_[\]<>#+\-.!(){}|])/g, (match, char) => {
+            escapes.push(char);
+            return `\u0000${escapes.length - 1}\u0000`;
+        });
+
+        // Link targets may contain one level of parentheses (Wikipedia URLs)
+        html = DocumentImporter.escapeHTML(html)
+            .replace(/!\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+            .replace(/__(.+?)__/g, '<b>$1</b>')
+            .replace(/\*(.+?)\*/g, '<i>$1</i>')
+            .replace(/(^|[^\w])_(.+?)_(?!\w)/g, '$1<i>$2</i>')
+            .replace(/&lt;(\/?)u&gt;/g, '<$1u>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => DocumentImporter.escapeHTML(escapes[index]));
+    }
+
+    /**
+     * Convert a Word document body to HTML
+     * @param {ArrayBuffer} buffer - .docx bytes
+     * @returns {Promise<string>} HTML
+     */
+    async docxToHTML(buffer) {
+        const zip = new ZipReader(buffer);
+        if (!zip.has('word/document.xml')) {
+            throw new Error('Not a Word document');
+        }
+
+        const xml = new DOMParser().parseFromString(await zip.readText('word/document.xml'), 'application/xml');
+        const body = xml.getElementsByTagNameNS(WORD_NAMESPACE, 'body')[0];
+        if (!body) return '';
+
+        const paragraphs = Array.from(body.getElementsByTagNameNS(WORD_NAMESPACE, 'p'));
+        const blocks = [];
+
+        paragraphs.forEach(paragraph => {
+            const isListItem = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'numPr').length > 0;
+            const style = paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'pStyle')[0];
+            const isHeading = /^(Heading|Title)/i.test(style?.getAttributeNS(WORD_NAMESPACE, 'val') || '');
+
+            let html = this.docxRunsToHTML(paragraph);
+            if (isHeading && html) html = `<b>${html}</b>`;
+
+            const previous = blocks[blocks.length - 1];
+            if (isListItem && previous && previous.isList) {
+                // Consecutive list paragraphs share one block, like TextHelpers bullets
+                previous.html += '<br>• ' + html;
+            } else {
+                blocks.push({ isList: isListItem, html: isListItem ? '• ' + html : html });
+            }
+        });
+
+        return blocks.map(block => `<div>${block.html || '<br>'}</div>`).join('');
+    }
+
+    /**
+     * Convert the runs of a Word paragraph to HTML
+     * @param {Element} paragraph - <w:p> element
+     * @returns {string} HTML
+     */
+    docxRunsToHTML(paragraph) {
+        let html = '';
+
+        const isOn = (props, name) => {
+            const element = props?.getElementsByTagNameNS(WORD_NAMESPACE, name)[0];
+            if (!element) return false;
+            const value = element.getAttributeNS(WORD_NAMESPACE, 'val');
+            return !['0', 'false', 'none'].includes(value);
+        };
+
+        const walk = (node) => {
+            Array.from(node.children).forEach(child => {
+                if (child.namespaceURI !== WORD_NAMESPACE) return;
+
+                switch (child.localName) {
+                    case 'r': {
+                        const props = Array.from(child.children).find(el => el.localName === 'rPr');
+                        let text = '';
+                        Array.from(child.children).forEach(part => {
+                            if (part.localName === 't') text += DocumentImporter.escapeHTML(part.textContent);
+                            else if (part.localName === 'tab') text += ' ';
+                            else if (part.localName === 'br' || part.localName === 'cr') text += '<br>';
+                        });
+                        if (!text) return;
+                        if (isOn(props, 'u')) text = `<u>${text}</u>`;
+                        if (isOn(props, 'i')) text = `<i>${text}</i>`;
+                        if (isOn(props, 'b')) text = `<b>${text}</b>`;
+                        html += text;
+                        break;
+                    }
+                    case 'pPr':
+                    case 'del':
+                        // Paragraph properties and tracked deletions are not content
+                        break;
+                    default:
+                        // Hyperlinks, insertions, smart tags etc. wrap ordinary runs
+                        walk(child);
+                }
+            });
+        };
+
+        walk(paragraph);
+        return html;
+    }
+
+    /**
+     * Rebuild HTML using only the editor's formatting model
+     * (div paragraphs, <br>, <b>, <i>, <u>, lang-* spans); everything else is unwrapped or dropped
+     * @param {string} html - Untrusted HTML
+     * @returns {string} Safe HTML
+     */
+    sanitize(html) {
+        const source = new DOMParser().parseFromString(html, 'text/html');
+        const output = document.createElement('div');
+
+        this.copySafeNodes(source.body, output, false);
+        this.tagScripts(output);
+
+        return output.innerHTML;
+    }
+
+    /**
+     * Copy allowed nodes from source into target
+     * @param {Node} source - Source parent
+     * @param {Node} target - Target parent
+     * @param {boolean} preformatted - Whether whitespace is significant
+     */
+    copySafeNodes(source, target, preformatted) {
+        source.childNodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                const text = preformatted ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+                if (text.trim() || (text && target.lastChild && target.lastChild.nodeName !== 'DIV')) {
+                    this.appendText(target, text, preformatted);
+                }
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(node.nodeName)) {
+                return;
+            }
+
+            const tag = node.nodeName;
+            const style = node.style || {};
+
+            if (tag === 'BR') {
+                target.appendChild(document.createElement('br'));
+                return;
+            }
+
+            if (tag === 'LI') {
+                if (target.lastChild && target.lastChild.nodeName !== 'BR') {
+                    target.appendChild(document.createElement('br'));
+                }
+                target.appendChild(document.createTextNode('• '));
+                this.copySafeNodes(node, target, preformatted);
+                return;
+            }
+
+            if (BLOCK_TAGS.has(tag) || HEADING_TAGS.has(tag)) {
+                const block = document.createElement('div');
+                const inner = HEADING_TAGS.has(tag) ? block.appendChild(document.createElement('b')) : block;
+                this.copySafeNodes(node, inner, preformatted || tag === 'PRE');
+                if (block.textContent.trim() || block.querySelector('br')) {
+                    target.appendChild(block);
+                }
+                return;
+            }
+
+            // Inline formatting from tags or inline styles (e.g. Google Docs spans)
+            const weight = style.fontWeight;
+            const isBold = ((tag === 'B' || tag === 'STRONG') && weight !== 'normal' && weight !== '400') ||
+                weight === 'bold' || parseInt(weight, 10) >= 600;
+            const isItalic = tag === 'I' || tag === 'EM' || style.fontStyle === 'italic';
+            const isUnderline = tag === 'U' || tag === 'INS' || (style.textDecoration || '').includes('underline');
+
+            let inner = target;
+            [[isBold, 'b'], [isItalic, 'i'], [isUnderline, 'u']].forEach(([active, name]) => {
+                if (active) inner = inner.appendChild(document.createElement(name));
+            });
+
+            this.copySafeNodes(node, inner, preformatted);
+        });
+    }
+
+    /**
+     * Append text, turning newlines into <br> when whitespace is significant
+     * @param {Node} target - Target parent
+     * @param {string} text - Text
+     * @param {boolean} preformatted - Whether whitespace is significant
+     */
+    appendText(target, text, preformatted) {
+        if (!preformatted) {
+            target.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        text.split('\n').forEach((line, index) => {
+            if (index > 0) target.appendChild(document.createElement('br'));
+            if (line) target.appendChild(document.createTextNode(line));
+        });
+    }
+
+    /**
+     * Wrap Devanagari and Bengali runs in lang-* spans for colour coding
+     * @param {HTMLElement} root - Element to tag
+     */
+    tagScripts(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.textContent;
+            const matches = [];
+
+            SCRIPT_RUNS.forEach(({ lang, pattern }) => {
+                for (const match of text.matchAll(pattern)) {
+                    matches.push({ lang, start: match.index, end: match.index + match[0].length });
+                }
+            });
+
+            if (matches.length === 0) return;
+            matches.sort((a, b) => a.start - b.start);
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+
+            matches.forEach(({ lang, start, end }) => {
+                if (start < position) return;
+                if (start > position) {
+                    fragment.appendChild(document.createTextNode(text.slice(position, start)));
+                }
+                const span = document.createElement('span');
+                span.className = `lang-${lang}`;
+                span.textContent = text.slice(start, end);
+                fragment.appendChild(span);
+                position = end;
+            });
+
+            if (position < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(position)));
+            }
+
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
+    /**
+     * Get lower-case file extension
+     * @param {string} name - File name
+     * @returns {string} Extension without dot
+     */
+    static getExtension(name) {
+        const match = /\.([^.]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Check if a file can be imported
+     * @param {File} file - File
+     * @returns {boolean}
+     */
+    static canImport(file) {
+        return IMPORT_EXTENSIONS.includes(DocumentImporter.getExtension(file.name));
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
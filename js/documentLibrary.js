@@ -0,0 +1,165 @@
+/**
+ * DocumentLibrary Module
+ * Manages the collection of saved documents (create, rename, duplicate, delete, search)
+ * Follows Single Responsibility Principle: Only manages document records
+ */
+
+const DEFAULT_TITLE = 'Untitled document';
+const CURRENT_DOCUMENT_KEY = 'voicescript-current-document';
+
+export class DocumentLibrary {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get all documents, most recently updated first
+     * @returns {Promise<Array>} Document records
+     */
+    async list() {
+        const documents = await this.storage.getAll('documents');
+        return documents
+            .map(doc => this.normalize(doc))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Search documents by title and content
+     * @param {string} query - Search text
+     * @returns {Promise<Array>} Matching document records
+     */
+    async search(query) {
+        const documents = await this.list();
+        const needle = (query || '').trim().toLowerCase();
+
+        if (!needle) {
+            return documents;
+        }
+
+        return documents.filter(doc =>
+            doc.title.toLowerCase().includes(needle) ||
+            DocumentLibrary.htmlToText(doc.html).toLowerCase().includes(needle)
+        );
+    }
+
+    /**
+     * Get a document by id
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} Document record
+     */
+    async get(id) {
+        const doc = await this.storage.getDocument(id);
+        return doc ? this.normalize(doc) : null;
+    }
+
+    /**
+     * Create a new document
+     * @param {Object} fields - Initial fields (title, html, settings)
+     * @returns {Promise<Object>} Created document
+     */
+    async create(fields = {}) {
+        const now = Date.now();
+        const doc = this.normalize({
+            ...fields,
+            id: DocumentLibrary.generateId(),
+            createdAt: now,
+            updatedAt: now
+        });
+
+        await this.storage.saveDocument(doc);
+        return doc;
+    }
+
+    /**
+     * Rename a document
+     * @param {string} id - Document id
+     * @param {string} title - New title
+     * @returns {Promise<Object|null>} Updated document
+     */
+    async rename(id, title) {
+        const doc = await this.get(id);
+        if (!doc) return null;
+
+        doc.title = (title || '').trim() || DEFAULT_TITLE;
+        await this.storage.saveDocument(doc);
+        return doc;
+    }
+
+    /**
+     * Duplicate a document
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} The copy
+     */
+    async duplicate(id) {
+        const doc = await this.get(id);
+        if (!doc) return null;
+
+        const { id: _id, createdAt, updatedAt, ...fields } = doc;
+        return this.create({ ...fields, title: `${doc.title} (copy)` });
+    }
+
+    /**
+     * Delete a document
+     * @param {string} id - Document id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.storage.delete('documents', id);
+    }
+
+    /**
+     * Get id of the last opened document
+     * @returns {string|null}
+     */
+    getCurrentId() {
+        return localStorage.getItem(CURRENT_DOCUMENT_KEY);
+    }
+
+    /**
+     * Remember the opened document across reloads
+     * @param {string} id - Document id
+     */
+    setCurrentId(id) {
+        localStorage.setItem(CURRENT_DOCUMENT_KEY, id);
+    }
+
+    /**
+     * Fill in defaults for records saved by older versions
+     * @param {Object} doc - Stored record
+     * @returns {Object} Complete document record
+     */
+    normalize(doc) {
+        return {
+            title: DEFAULT_TITLE,
+            html: '',
+            dictationLanguage: 'en-US',
+            typingLanguage: 'en',
+            mode: 'dictate',
+            createdAt: doc.updatedAt || Date.now(),
+            updatedAt: Date.now(),
+            ...doc
+        };
+    }
+
+    /**
+     * Extract plain text from stored HTML
+     * @param {string} html - HTML content
+     * @returns {string} Plain text
+     */
+    static htmlToText(html) {
+        if (!html) return '';
+        const parsed = new DOMParser().parseFromString(html, 'text/html');
+        return parsed.body.textContent || '';
+    }
+
+    /**
+     * Generate a unique document id
+     * @returns {string}
+     */
+    static generateId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `doc-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
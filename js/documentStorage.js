@@ -0,0 +1,191 @@
+/**
+ * DocumentStorage Module
+ * Persists documents in IndexedDB so dictated text survives reloads
+ * Follows Single Responsibility Principle: Only manages persistent storage
+ */
+
+const DB_NAME = 'voicescript-pro';
+const DB_VERSION = 4;
+
+// Object stores created on upgrade, keyed by store name
+const STORES = {
+    documents: { keyPath: 'id' },
+    snapshots: { keyPath: 'id', indexes: ['documentId'] },
+    templates: { keyPath: 'id' },
+    recordings: { keyPath: 'id', indexes: ['documentId'] }
+};
+
+export class DocumentStorage {
+    constructor() {
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!DocumentStorage.isSupported()) {
+                reject(new Error('IndexedDB not supported in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            let blocked = false;
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, { keyPath, indexes = [] }] of Object.entries(STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath });
+                        indexes.forEach(index => store.createIndex(index, index));
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Already reported as blocked: a later open() starts again
+                if (blocked) {
+                    db.close();
+                    return;
+                }
+
+                // Let a newer version in another tab upgrade instead of waiting on this one
+                db.onversionchange = () => {
+                    console.warn('[DocumentStorage] Database upgraded in another tab, closing');
+                    db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                this.db = db;
+                resolve(db);
+            };
+
+            // Another tab still has the old version open; the upgrade waits until it closes
+            request.onblocked = () => {
+                console.error('[DocumentStorage] Database upgrade blocked by another open tab');
+                blocked = true;
+                const error = new Error('Close other tabs of this app to finish updating its storage');
+                error.name = 'BlockedError';
+                reject(error);
+            };
+
+            request.onerror = () => {
+                console.error('[DocumentStorage] Failed to open database:', request.error);
+                reject(request.error);
+            };
+        });
+
+        // Allow a later retry if opening failed
+        this.openPromise.catch(() => {
+            this.openPromise = null;
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} Stored record
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', (store) => store.get(key));
+    }
+
+    /**
+     * Get all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Stored records
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', (store) => store.getAll());
+    }
+
+    /**
+     * Get all records whose indexed field matches a value
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {*} value - Value to match
+     * @returns {Promise<Array>} Matching records
+     */
+    getAllByIndex(storeName, indexName, value) {
+        return this.run(storeName, 'readonly', (store) => store.index(indexName).getAll(value));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} record - Record to store
+     * @returns {Promise<string>} Record key
+     */
+    put(storeName, record) {
+        return this.run(storeName, 'readwrite', (store) => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', (store) => store.delete(key));
+    }
+
+    /**
+     * Get a document by id
+     * @param {string} id - Document id
+     * @returns {Promise<Object|undefined>} Document record
+     */
+    getDocument(id) {
+        return this.get('documents', id);
+    }
+
+    /**
+     * Save a document, stamping its modification time
+     * @param {Object} document - Document record ({ id, html, ... })
+     * @returns {Promise<string>} Document id
+     */
+    saveDocument(document) {
+        return this.put('documents', { ...document, updatedAt: Date.now() });
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!window.indexedDB;
+    }
+}
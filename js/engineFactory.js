@@ -0,0 +1,86 @@
+/**
+ * Engine Factory Module
+ * Chooses the recognition engine from the page URL
+ *   (default)                       Web Speech API
+ *   ?restarts=<n>                   Web Speech restart attempts before giving up
+ *   ?engine=replay&script=<url>     Replay a JSON script (see replayEngine.js)
+ *   ?engine=whisper&endpoint=<url>&model=<name>
+ *                                   Self-hosted Whisper-compatible server (see whisperEngine.js);
+ *                                   the endpoint must be on this machine, the local network or the page's own server
+ * Follows Dependency Inversion Principle: The app asks for an engine, not a class
+ */
+
+import { WebSpeechEngine } from './webSpeechEngine.js';
+import { ReplayEngine } from './replayEngine.js';
+import { WhisperEngine } from './whisperEngine.js';
+
+const DEFAULT_REPLAY_SCRIPT = 'samples/replay-demo.json';
+
+// Private address ranges: 10/8, 172.16/12, 192.168/16, link-local 169.254/16, loopback 127/8
+const PRIVATE_IPV4 = /^(10\.\d{1,3}|172\.(1[6-9]|2\d|3[01])|192\.168|169\.254|127\.\d{1,3})\.\d{1,3}\.\d{1,3}$/;
+
+// IPv6 loopback, unique local (fc00::/7) and link-local (fe80::/10), as URL hostnames
+const PRIVATE_IPV6 = /^\[(::1|f[cd][0-9a-f]{2}:.*|fe[89ab][0-9a-f]:.*)\]$/i;
+
+/**
+ * Create the recognition engine selected by URL parameters
+ * @param {string} search - Query string (defaults to the page's)
+ * @returns {RecognitionEngine} Engine instance
+ */
+export function createRecognitionEngine(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const name = params.get('engine') || 'webspeech';
+
+    const webSpeechOptions = {};
+    const restarts = parseInt(params.get('restarts'), 10);
+    if (Number.isInteger(restarts) && restarts >= 0) {
+        webSpeechOptions.maxRestarts = restarts;
+    }
+
+    switch (name) {
+        case 'webspeech':
+            return new WebSpeechEngine(webSpeechOptions);
+
+        case 'replay':
+            return new ReplayEngine(params.get('script') || DEFAULT_REPLAY_SCRIPT);
+
+        case 'whisper':
+            return new WhisperEngine({
+                endpoint: localEndpoint(params.get('endpoint')),
+                model: params.get('model')
+            });
+
+        default:
+            console.warn(`[EngineFactory] Unknown engine "${name}", using Web Speech`);
+            return new WebSpeechEngine(webSpeechOptions);
+    }
+}
+
+/**
+ * Check an endpoint from the URL: a shared link must not send someone's
+ * speech to another server
+ * @param {string|null} endpoint - Endpoint URL parameter
+ * @returns {string|null} The endpoint, or null (the default) if it is not local
+ */
+function localEndpoint(endpoint) {
+    if (!endpoint) return null;
+
+    let url;
+    try {
+        url = new URL(endpoint, window.location.href);
+    } catch (error) {
+        console.warn(`[EngineFactory] Invalid endpoint "${endpoint}", using the default`);
+        return null;
+    }
+
+    const hostname = url.hostname.toLowerCase();
+    const local = url.origin === window.location.origin
+        || hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.local')
+        || PRIVATE_IPV4.test(hostname) || PRIVATE_IPV6.test(hostname);
+
+    if (!local || !['http:', 'https:'].includes(url.protocol)) {
+        console.warn(`[EngineFactory] Endpoint "${endpoint}" is not on the local network, using the default`);
+        return null;
+    }
+    return url.href;
+}
@@ -0,0 +1,38 @@
+/**
+ * File Utilities
+ * Small helpers for saving files from the browser
+ */
+
+/**
+ * Trigger a download of a Blob
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser time to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn a document title into a safe file name
+ * @param {string} title - Document title
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name
+ */
+export function toFileName(title, extension) {
+    const base = (title || 'document')
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim() || 'document';
+    return `${base}.${extension}`;
+}
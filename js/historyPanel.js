@@ -0,0 +1,292 @@
+/**
+ * HistoryPanel Module
+ * Renders the version history dialog: snapshot list, diff view and actions
+ * Follows Single Responsibility Principle: Only manages the history UI
+ */
+
+// Pseudo snapshot id standing for the editor's current content
+export const CURRENT_VERSION = 'current';
+
+export class HistoryPanel {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('historyPanel'),
+            openBtn: document.getElementById('historyBtn'),
+            closeBtn: document.getElementById('historyCloseBtn'),
+            saveBtn: document.getElementById('saveSnapshotBtn'),
+            list: document.getElementById('snapshotList'),
+            compareFrom: document.getElementById('compareFrom'),
+            compareTo: document.getElementById('compareTo'),
+            compareBtn: document.getElementById('compareBtn'),
+            diffView: document.getElementById('diffView')
+        };
+
+        this.onOpenCallback = null;
+        this.onSaveCallback = null;
+        this.onRestoreCallback = null;
+        this.onDeleteCallback = null;
+        this.onCompareCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dialog controls
+     */
+    setupEventListeners() {
+        this.elements.openBtn?.addEventListener('click', () => {
+            this.open();
+        });
+
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.close();
+        });
+
+        // Click on the backdrop closes the dialog
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.close();
+        });
+
+        this.elements.saveBtn?.addEventListener('click', () => {
+            if (this.onSaveCallback) this.onSaveCallback();
+        });
+
+        this.elements.compareBtn?.addEventListener('click', () => {
+            if (this.onCompareCallback) {
+                this.onCompareCallback(this.elements.compareFrom.value, this.elements.compareTo.value);
+            }
+        });
+
+        this.elements.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-snapshot-id]');
+            if (!button || !item) return;
+
+            const id = item.dataset.snapshotId;
+            if (button.dataset.action === 'restore' && this.onRestoreCallback) {
+                this.onRestoreCallback(id);
+            } else if (button.dataset.action === 'delete' && this.onDeleteCallback) {
+                this.onDeleteCallback(id);
+            } else if (button.dataset.action === 'compare' && this.onCompareCallback) {
+                this.setComparison(id, CURRENT_VERSION);
+                this.onCompareCallback(id, CURRENT_VERSION);
+            }
+        });
+    }
+
+    /**
+     * Show the dialog
+     */
+    open() {
+        if (!this.elements.panel) return;
+        this.elements.panel.hidden = false;
+        this.clearDiff();
+        if (this.onOpenCallback) this.onOpenCallback();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (this.elements.panel) this.elements.panel.hidden = true;
+    }
+
+    /**
+     * Check if the dialog is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.elements.panel && !this.elements.panel.hidden;
+    }
+
+    /**
+     * Render the snapshot list and comparison choices
+     * @param {Array} snapshots - Snapshots, newest first
+     */
+    render(snapshots) {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = 'No snapshots yet';
+            list.appendChild(empty);
+        }
+
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.snapshotId = snapshot.id;
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+
+            const name = document.createElement('div');
+            name.className = 'snapshot-name';
+            name.textContent = HistoryPanel.getLabel(snapshot);
+
+            const time = document.createElement('div');
+            time.className = 'snapshot-time';
+            time.textContent = new Date(snapshot.createdAt).toLocaleString();
+
+            info.append(name, time);
+
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+            actions.append(
+                this.createButton('compare', 'Diff', 'Compare with current document'),
+                this.createButton('restore', 'Restore', 'Replace document with this version'),
+                this.createButton('delete', '🗑', 'Delete snapshot')
+            );
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+
+        this.renderCompareOptions(snapshots);
+    }
+
+    /**
+     * Fill the two comparison selects
+     * @param {Array} snapshots - Snapshots, newest first
+     */
+    renderCompareOptions(snapshots) {
+        const { compareFrom, compareTo } = this.elements;
+        if (!compareFrom || !compareTo) return;
+
+        const options = [
+            { value: CURRENT_VERSION, label: 'Current document' },
+            ...snapshots.map(snapshot => ({
+                value: snapshot.id,
+                label: `${HistoryPanel.getLabel(snapshot)} — ${new Date(snapshot.createdAt).toLocaleString()}`
+            }))
+        ];
+
+        [compareFrom, compareTo].forEach(select => {
+            const previous = select.value;
+            select.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                select.appendChild(new Option(label, value));
+            });
+            if (options.some(option => option.value === previous)) {
+                select.value = previous;
+            }
+        });
+
+        // Default: newest snapshot against the current document
+        if (!compareFrom.value || compareFrom.value === CURRENT_VERSION) {
+            compareFrom.value = snapshots[0]?.id || CURRENT_VERSION;
+        }
+    }
+
+    /**
+     * Select the two versions to compare
+     * @param {string} fromId - Older version id
+     * @param {string} toId - Newer version id
+     */
+    setComparison(fromId, toId) {
+        if (this.elements.compareFrom) this.elements.compareFrom.value = fromId;
+        if (this.elements.compareTo) this.elements.compareTo.value = toId;
+    }
+
+    /**
+     * Show a word-level diff
+     * @param {Array} parts - Diff parts ({ type, text })
+     */
+    showDiff(parts) {
+        const view = this.elements.diffView;
+        if (!view) return;
+
+        view.innerHTML = '';
+
+        if (!parts.some(part => part.type !== 'equal')) {
+            view.textContent = 'No differences';
+            return;
+        }
+
+        const tags = { insert: 'ins', delete: 'del', equal: 'span' };
+        parts.forEach(part => {
+            const element = document.createElement(tags[part.type]);
+            element.textContent = part.text;
+            view.appendChild(element);
+        });
+    }
+
+    /**
+     * Clear the diff view
+     */
+    clearDiff() {
+        if (this.elements.diffView) {
+            this.elements.diffView.textContent = 'Pick two versions and click Compare.';
+        }
+    }
+
+    /**
+     * Create a small action button
+     * @param {string} action - Action name
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @returns {HTMLElement} Button element
+     */
+    createButton(action, text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'snapshot-action';
+        button.dataset.action = action;
+        button.title = title;
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * Get display name of a snapshot
+     * @param {Object} snapshot - Snapshot
+     * @returns {string}
+     */
+    static getLabel(snapshot) {
+        return snapshot.name || (snapshot.auto ? 'Automatic snapshot' : 'Snapshot');
+    }
+
+    /**
+     * Set callback for opening the dialog
+     * @param {Function} callback - Function to call
+     */
+    onOpen(callback) {
+        this.onOpenCallback = callback;
+    }
+
+    /**
+     * Set callback for saving a named snapshot
+     * @param {Function} callback - Function to call
+     */
+    onSave(callback) {
+        this.onSaveCallback = callback;
+    }
+
+    /**
+     * Set callback for restoring a snapshot
+     * @param {Function} callback - Receives snapshot id
+     */
+    onRestore(callback) {
+        this.onRestoreCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting a snapshot
+     * @param {Function} callback - Receives snapshot id
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for comparing two versions
+     * @param {Function} callback - Receives (fromId, toId)
+     */
+    onCompare(callback) {
+        this.onCompareCallback = callback;
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * LanguageDetector Module
+ * Picks the recognition language for mixed-language dictation ("auto" mode)
+ * from the script and confidence of recognised phrases
+ * Follows Single Responsibility Principle: Only decides which language is being spoken
+ *
+ * A recogniser only listens for one language at a time, so detection works on
+ * what the active language produced: Chrome's Hindi and Bengali recognisers
+ * write English speech in Latin script, and a recogniser hearing a language it
+ * does not know returns low-confidence results.
+ */
+
+// Value of the "Auto-detect" option in the language select
+export const AUTO_LANGUAGE = 'auto';
+
+export const DEFAULT_AUTO_LANGUAGES = ['en-US', 'hi-IN', 'bn-IN'];
+
+const STORAGE_KEY = 'voicescript-auto-languages';
+
+// Script each recognition language writes in
+const LANGUAGE_SCRIPTS = {
+    'en-US': 'latin',
+    'de-DE': 'latin',
+    'es-ES': 'latin',
+    'hi-IN': 'devanagari',
+    'bn-IN': 'bengali'
+};
+
+// Letters only: the danda (\u0964, \u0965) is shared by Hindi and Bengali
+const SCRIPT_PATTERNS = {
+    devanagari: /[\u0900-\u0963\u0966-\u097F]/g,
+    bengali: /[\u0980-\u09FF]/g,
+    latin: /[A-Za-z\u00C0-\u024F]/g
+};
+
+// Results below this confidence suggest another language is being spoken
+const LOW_CONFIDENCE = 0.5;
+
+// Consecutive low-confidence results before trying the next language
+const LOW_CONFIDENCE_STREAK = 2;
+
+export class LanguageDetector {
+    /**
+     * @param {Array<string>} supportedLanguages - Language codes that may be chosen
+     */
+    constructor(supportedLanguages) {
+        this.supportedLanguages = supportedLanguages;
+        this.languages = this.load();
+        this.enabled = false;
+        this.lowConfidenceCount = 0;
+    }
+
+    /**
+     * Check if auto mode is on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Turn auto mode on or off
+     * @param {boolean} enabled - Detect the spoken language
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.lowConfidenceCount = 0;
+    }
+
+    /**
+     * Get the languages auto mode switches among
+     * @returns {Array<string>} Language codes
+     */
+    getLanguages() {
+        return [...this.languages];
+    }
+
+    /**
+     * Change the languages auto mode switches among
+     * @param {Array<string>} languages - Language codes (at least one)
+     * @returns {boolean} False if no supported language was given
+     */
+    setLanguages(languages) {
+        const chosen = this.supportedLanguages.filter(code => languages.includes(code));
+        if (chosen.length === 0) return false;
+
+        this.languages = chosen;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Get the language to listen in when auto mode starts
+     * @param {string} currentLanguage - Language listened in so far
+     * @returns {string} Language code
+     */
+    getStartLanguage(currentLanguage) {
+        return this.languages.includes(currentLanguage) ? currentLanguage : this.languages[0];
+    }
+
+    /**
+     * Work out which language a final phrase is in and whether to switch
+     * @param {string} text - Recognised text
+     * @param {number|null} confidence - Recogniser confidence (0-1), if reported
+     * @param {string} activeLanguage - Language the recogniser listened in
+     * @returns {Object} { language: code the text is in (null if unknown), switchTo: code or null }
+     */
+    analyze(text, confidence, activeLanguage) {
+        const script = LanguageDetector.detectScript(text);
+
+        // Text in another language's script: that language is being spoken
+        if (script && LANGUAGE_SCRIPTS[activeLanguage] !== script) {
+            const match = this.languages.find(code => LANGUAGE_SCRIPTS[code] === script) || null;
+            this.lowConfidenceCount = 0;
+            return { language: match, switchTo: match };
+        }
+
+        // 0 means the recogniser gave no estimate
+        if (typeof confidence !== 'number' || confidence <= 0) {
+            return { language: activeLanguage, switchTo: null };
+        }
+
+        if (confidence >= LOW_CONFIDENCE) {
+            this.lowConfidenceCount = 0;
+            return { language: activeLanguage, switchTo: null };
+        }
+
+        this.lowConfidenceCount++;
+        if (this.lowConfidenceCount < LOW_CONFIDENCE_STREAK || this.languages.length < 2) {
+            return { language: activeLanguage, switchTo: null };
+        }
+
+        // Same script, nothing to go on but the recogniser struggling: try the next language
+        this.lowConfidenceCount = 0;
+        const index = this.languages.indexOf(activeLanguage);
+        return { language: activeLanguage, switchTo: this.languages[(index + 1) % this.languages.length] };
+    }
+
+    /**
+     * Find the script most of a text's letters are written in
+     * @param {string} text - Text
+     * @returns {string|null} 'latin', 'devanagari', 'bengali', or null if there are no letters
+     */
+    static detectScript(text) {
+        let best = null;
+        let bestCount = 0;
+
+        Object.entries(SCRIPT_PATTERNS).forEach(([script, pattern]) => {
+            const count = (text.match(pattern) || []).length;
+            if (count > bestCount) {
+                best = script;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Load the chosen languages from localStorage
+     * @returns {Array<string>} Language codes
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(stored)) {
+                const languages = this.supportedLanguages.filter(code => stored.includes(code));
+                if (languages.length > 0) return languages;
+            }
+        } catch (error) {
+            console.error('[LanguageDetector] Failed to load languages:', error);
+        }
+
+        return DEFAULT_AUTO_LANGUAGES.filter(code => this.supportedLanguages.includes(code));
+    }
+
+    /**
+     * Persist the chosen languages to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.languages));
+        } catch (error) {
+            console.error('[LanguageDetector] Failed to save languages:', error);
+        }
+    }
+}
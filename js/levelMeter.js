@@ -0,0 +1,231 @@
+/**
+ * LevelMeter Module
+ * Live microphone level next to the status badge, with warnings for
+ * prolonged silence, clipping and very quiet input
+ * Follows Single Responsibility Principle: Only measures and shows the input level
+ */
+
+export const LEVEL_WARNINGS = {
+    SILENCE: 'silence',
+    CLIPPING: 'clipping',
+    LOW: 'low'
+};
+
+const WARNING_MESSAGES = {
+    [LEVEL_WARNINGS.SILENCE]: 'No sound from the microphone. Check that it is plugged in, selected and not muted',
+    [LEVEL_WARNINGS.CLIPPING]: 'Microphone input is clipping. Move back a little or lower the input volume',
+    [LEVEL_WARNINGS.LOW]: 'Microphone input is very quiet. Move closer or raise the input volume'
+};
+
+// Short form shown next to the meter
+const WARNING_LABELS = {
+    [LEVEL_WARNINGS.SILENCE]: 'No input',
+    [LEVEL_WARNINGS.CLIPPING]: 'Clipping',
+    [LEVEL_WARNINGS.LOW]: 'Too quiet'
+};
+
+// Levels in dBFS (RMS); the meter shows METER_FLOOR..0
+const METER_FLOOR = -60;
+const SILENCE_LEVEL = -55;
+const LOW_LEVEL = -38;
+
+// A sample this close to full scale counts as clipped
+const CLIP_PEAK = 0.99;
+
+// Clipped frames within CLIP_WINDOW (ms) that raise the warning, shown for CLIP_HOLD (ms)
+const CLIP_COUNT = 3;
+const CLIP_WINDOW = 1000;
+const CLIP_HOLD = 2000;
+
+// Silence this long (ms) raises the warning; the recogniser gives up soon after
+const SILENCE_WARNING_DELAY = 5000;
+
+// Quiet input is judged on the loudest moment in windows this long (ms)
+const LOW_INPUT_WINDOW = 8000;
+
+// How fast the bar falls back (dB per second), so short peaks stay readable
+const FALL_RATE = 30;
+
+export class LevelMeter {
+    constructor() {
+        this.elements = {
+            meter: document.getElementById('levelMeter'),
+            fill: document.getElementById('levelMeterFill'),
+            warning: document.getElementById('levelWarning')
+        };
+
+        this.analyser = null;
+        this.buffer = null;
+        this.frame = null;
+
+        this.warning = null;
+        this.onWarningCallback = null;
+
+        this.reset(0);
+    }
+
+    /**
+     * Start metering an analyser's input
+     * @param {AnalyserNode} analyser - Analyser on the microphone stream
+     */
+    attach(analyser) {
+        if (!analyser || analyser === this.analyser) return;
+
+        this.detach();
+        this.analyser = analyser;
+        this.buffer = new Float32Array(analyser.fftSize);
+        this.reset(performance.now());
+
+        if (this.elements.meter) this.elements.meter.hidden = false;
+        this.frame = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Stop metering and hide the meter
+     */
+    detach() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        this.analyser = null;
+        this.buffer = null;
+        this.setWarning(null);
+        this.render(-Infinity);
+
+        if (this.elements.meter) this.elements.meter.hidden = true;
+    }
+
+    /**
+     * Clear the level history
+     * @param {number} now - Current time (ms)
+     */
+    reset(now) {
+        this.displayLevel = -Infinity;
+        this.lastFrameTime = now;
+        this.lastSound = now;
+        this.clipTimes = [];
+        this.lastClip = -Infinity;
+        this.windowStart = now;
+        this.windowMax = -Infinity;
+        this.lowInput = false;
+
+        // Each warning is announced once per session
+        this.announced = new Set();
+    }
+
+    /**
+     * Read the analyser and schedule the next frame
+     */
+    tick() {
+        if (!this.analyser) return;
+
+        this.analyser.getFloatTimeDomainData(this.buffer);
+
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const sample = this.buffer[i];
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+
+        this.update(Math.sqrt(sum / this.buffer.length), peak, performance.now());
+        this.frame = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Take in one frame's level and update the meter and warnings
+     * @param {number} rms - Root mean square of the samples (0-1)
+     * @param {number} peak - Largest absolute sample (0-1)
+     * @param {number} now - Current time (ms)
+     */
+    update(rms, peak, now) {
+        const level = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+        const elapsed = (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        this.displayLevel = Math.max(level, this.displayLevel - FALL_RATE * elapsed);
+        this.render(this.displayLevel);
+
+        if (peak >= CLIP_PEAK) this.clipTimes.push(now);
+        this.clipTimes = this.clipTimes.filter(time => now - time < CLIP_WINDOW);
+        if (this.clipTimes.length >= CLIP_COUNT) this.lastClip = now;
+
+        if (level > SILENCE_LEVEL) this.lastSound = now;
+
+        // Something is heard, but even the loudest moment is quiet
+        this.windowMax = Math.max(this.windowMax, level);
+        if (now - this.windowStart >= LOW_INPUT_WINDOW) {
+            this.lowInput = this.windowMax > SILENCE_LEVEL && this.windowMax < LOW_LEVEL;
+            this.windowStart = now;
+            this.windowMax = -Infinity;
+        }
+
+        if (now - this.lastClip < CLIP_HOLD) {
+            this.setWarning(LEVEL_WARNINGS.CLIPPING);
+        } else if (now - this.lastSound >= SILENCE_WARNING_DELAY) {
+            this.setWarning(LEVEL_WARNINGS.SILENCE);
+        } else if (this.lowInput) {
+            this.setWarning(LEVEL_WARNINGS.LOW);
+        } else {
+            this.setWarning(null);
+        }
+    }
+
+    /**
+     * Draw the bar
+     * @param {number} level - Level in dBFS
+     */
+    render(level) {
+        const percent = Number.isFinite(level)
+            ? Math.round(Math.min(1, Math.max(0, (level - METER_FLOOR) / -METER_FLOOR)) * 100)
+            : 0;
+
+        if (this.elements.fill) this.elements.fill.style.width = `${percent}%`;
+        this.elements.meter?.setAttribute('aria-valuenow', String(percent));
+    }
+
+    /**
+     * Show or clear a warning
+     * @param {string|null} type - One of LEVEL_WARNINGS, or null
+     */
+    setWarning(type) {
+        if (type === this.warning) return;
+        this.warning = type;
+
+        const { meter, warning } = this.elements;
+        if (meter) {
+            Object.values(LEVEL_WARNINGS).forEach(value => {
+                meter.classList.toggle(`warning-${value}`, value === type);
+            });
+        }
+        if (warning) {
+            warning.hidden = !type;
+            warning.textContent = type ? WARNING_LABELS[type] : '';
+            warning.title = type ? WARNING_MESSAGES[type] : '';
+        }
+
+        if (type && !this.announced.has(type)) {
+            this.announced.add(type);
+            if (this.onWarningCallback) this.onWarningCallback(type, WARNING_MESSAGES[type]);
+        }
+    }
+
+    /**
+     * Get the warning being shown
+     * @returns {string|null} One of LEVEL_WARNINGS, or null
+     */
+    getWarning() {
+        return this.warning;
+    }
+
+    /**
+     * Set callback for a warning appearing (once per type per session)
+     * @param {Function} callback - Receives (type, message)
+     */
+    onWarning(callback) {
+        this.onWarningCallback = callback;
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * LibrarySidebar Module
+ * Renders the document library sidebar and forwards user actions
+ * Follows Single Responsibility Principle: Only manages the sidebar UI
+ */
+
+import { DocumentLibrary } from './documentLibrary.js';
+
+const SNIPPET_LENGTH = 80;
+
+export class LibrarySidebar {
+    constructor() {
+        this.elements = {
+            sidebar: document.getElementById('librarySidebar'),
+            toggleBtn: document.getElementById('libraryToggleBtn'),
+            newBtn: document.getElementById('newDocumentBtn'),
+            searchInput: document.getElementById('documentSearch'),
+            list: document.getElementById('documentList')
+        };
+
+        this.activeId = null;
+        this.onOpenCallback = null;
+        this.onCreateCallback = null;
+        this.onRenameCallback = null;
+        this.onDuplicateCallback = null;
+        this.onDeleteCallback = null;
+        this.onSearchCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for sidebar controls
+     */
+    setupEventListeners() {
+        this.elements.toggleBtn?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        this.elements.newBtn?.addEventListener('click', () => {
+            if (this.onCreateCallback) this.onCreateCallback();
+        });
+
+        this.elements.searchInput?.addEventListener('input', (e) => {
+            if (this.onSearchCallback) this.onSearchCallback(e.target.value);
+        });
+
+        // One delegated handler for all list items and their actions
+        this.elements.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-document-id]');
+            if (!item) return;
+
+            const id = item.dataset.documentId;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            const callbacks = {
+                rename: this.onRenameCallback,
+                duplicate: this.onDuplicateCallback,
+                delete: this.onDeleteCallback
+            };
+
+            const callback = action ? callbacks[action] : this.onOpenCallback;
+            if (callback) callback(id);
+        });
+    }
+
+    /**
+     * Render the document list
+     * @param {Array} documents - Document records to show
+     */
+    render(documents) {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (documents.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'document-list-empty';
+            empty.textContent = 'No documents found';
+            list.appendChild(empty);
+            return;
+        }
+
+        documents.forEach(doc => {
+            list.appendChild(this.createItem(doc));
+        });
+    }
+
+    /**
+     * Create a list item for a document
+     * @param {Object} doc - Document record
+     * @returns {HTMLElement} List item
+     */
+    createItem(doc) {
+        const item = document.createElement('li');
+        item.className = 'document-item';
+        item.dataset.documentId = doc.id;
+        if (doc.id === this.activeId) {
+            item.classList.add('active');
+        }
+
+        const title = document.createElement('div');
+        title.className = 'document-title';
+        title.textContent = doc.title;
+
+        const meta = document.createElement('div');
+        meta.className = 'document-meta';
+        meta.textContent = new Date(doc.updatedAt).toLocaleString();
+
+        const snippet = document.createElement('div');
+        snippet.className = 'document-snippet';
+        snippet.textContent = DocumentLibrary.htmlToText(doc.html).slice(0, SNIPPET_LENGTH);
+
+        const actions = document.createElement('div');
+        actions.className = 'document-actions';
+        actions.appendChild(this.createActionButton('rename', '✎', 'Rename'));
+        actions.appendChild(this.createActionButton('duplicate', '⧉', 'Duplicate'));
+        actions.appendChild(this.createActionButton('delete', '🗑', 'Delete'));
+
+        item.append(title, meta, snippet, actions);
+        return item;
+    }
+
+    /**
+     * Create a small action button
+     * @param {string} action - Action name
+     * @param {string} icon - Button text
+     * @param {string} label - Tooltip
+     * @returns {HTMLElement} Button element
+     */
+    createActionButton(action, icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'document-action';
+        button.dataset.action = action;
+        button.title = label;
+        button.textContent = icon;
+        return button;
+    }
+
+    /**
+     * Highlight the open document
+     * @param {string} id - Document id
+     */
+    setActive(id) {
+        this.activeId = id;
+        this.elements.list?.querySelectorAll('.document-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.documentId === id);
+        });
+    }
+
+    /**
+     * Get current search text
+     * @returns {string}
+     */
+    getSearchQuery() {
+        return this.elements.searchInput?.value || '';
+    }
+
+    /**
+     * Show or hide the sidebar
+     * @param {boolean} [visible] - Force visibility
+     */
+    toggle(visible) {
+        const sidebar = this.elements.sidebar;
+        if (!sidebar) return;
+
+        const show = visible ?? sidebar.classList.contains('collapsed');
+        sidebar.classList.toggle('collapsed', !show);
+        this.elements.toggleBtn?.classList.toggle('active', show);
+    }
+
+    /**
+     * Check if the sidebar is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+        return !!this.elements.sidebar && !this.elements.sidebar.classList.contains('collapsed');
+    }
+
+    /**
+     * Set callback for opening a document
+     * @param {Function} callback - Receives document id
+     */
+    onOpen(callback) {
+        this.onOpenCallback = callback;
+    }
+
+    /**
+     * Set callback for creating a document
+     * @param {Function} callback - Function to call
+     */
+    onCreate(callback) {
+        this.onCreateCallback = callback;
+    }
+
+    /**
+     * Set callback for renaming a document
+     * @param {Function} callback - Receives document id
+     */
+    onRename(callback) {
+        this.onRenameCallback = callback;
+    }
+
+    /**
+     * Set callback for duplicating a document
+     * @param {Function} callback - Receives document id
+     */
+    onDuplicate(callback) {
+        this.onDuplicateCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting a document
+     * @param {Function} callback - Receives document id
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for search input
+     * @param {Function} callback - Receives query text
+     */
+    onSearch(callback) {
+        this.onSearchCallback = callback;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * MicrophoneCapture Module
+ * Opens the microphone and streams raw PCM samples through an AudioWorklet,
+ * with an analyser on the same stream for level metering
+ * Follows Single Responsibility Principle: Only manages microphone input
+ */
+
+export class MicrophoneCapture {
+    constructor() {
+        this.stream = null;
+        this.audioContext = null;
+        this.source = null;
+        this.node = null;
+        this.analyser = null;
+
+        // Pending start(), shared by concurrent callers; stop() meanwhile cancels it
+        this.starting = null;
+        this.cancelled = false;
+
+        this.onAudioCallback = null;
+    }
+
+    /**
+     * Ask for the microphone and start streaming samples
+     * (resolves without capturing if stop() is called meanwhile; see isActive())
+     * @returns {Promise<void>} Rejects with the getUserMedia/AudioContext error
+     */
+    start() {
+        if (this.starting) return this.starting;
+        if (this.stream) return Promise.resolve();
+
+        this.cancelled = false;
+        this.starting = this.open().finally(() => {
+            this.starting = null;
+        });
+        return this.starting;
+    }
+
+    /**
+     * Open the microphone and build the audio graph
+     * @returns {Promise<void>} Rejects with the getUserMedia/AudioContext error
+     */
+    async open() {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+
+        if (this.cancelled) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.stream = stream;
+
+        try {
+            this.audioContext = new AudioContext();
+            await this.audioContext.audioWorklet.addModule(new URL('./pcmCaptureWorklet.js', import.meta.url));
+
+            // stop() during the load has already released everything
+            if (this.cancelled) return;
+
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+            this.node = new AudioWorkletNode(this.audioContext, 'pcm-capture', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 1,
+                channelCountMode: 'explicit'
+            });
+
+            this.node.port.onmessage = (event) => {
+                if (this.onAudioCallback) this.onAudioCallback(event.data);
+            };
+
+            this.source.connect(this.node);
+
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.source.connect(this.analyser);
+        } catch (error) {
+            if (this.cancelled) return;
+            this.stop();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop streaming and release the microphone
+     */
+    stop() {
+        if (this.starting) this.cancelled = true;
+
+        if (this.node) {
+            this.node.port.onmessage = null;
+            this.node.disconnect();
+            this.node = null;
+        }
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+
+        this.analyser = null;
+
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Check if the microphone is open
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.stream !== null && this.audioContext !== null;
+    }
+
+    /**
+     * Get the analyser node fed by the microphone
+     * @returns {AnalyserNode|null} Analyser (null when not capturing)
+     */
+    getAnalyser() {
+        return this.analyser;
+    }
+
+    /**
+     * Get the sample rate of the captured audio
+     * @returns {number} Samples per second (0 when not capturing)
+     */
+    getSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : 0;
+    }
+
+    /**
+     * Check if the browser can capture microphone audio
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!(navigator.mediaDevices?.getUserMedia && window.AudioContext && window.AudioWorkletNode);
+    }
+
+    /**
+     * Set callback for captured audio
+     * @param {Function} callback - Receives a Float32Array of mono samples
+     */
+    onAudio(callback) {
+        this.onAudioCallback = callback;
+    }
+}
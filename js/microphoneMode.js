@@ -0,0 +1,342 @@
+/**
+ * MicrophoneMode Module
+ * How listening is started and stopped: always on (Start/Stop buttons),
+ * push-to-talk (hold a key or the Talk button) or a toggle hotkey
+ * Follows Single Responsibility Principle: Only turns key and button input
+ * into press/release/toggle requests; the app drives the recognition engine
+ */
+
+export const MIC_MODES = {
+    CONTINUOUS: 'continuous',
+    PUSH_TO_TALK: 'push-to-talk',
+    TOGGLE: 'toggle'
+};
+
+const STORAGE_KEY = 'voicescript-mic-mode';
+
+const DEFAULT_KEY = 'F9';
+
+// Keys that cannot be the hotkey (modifiers alone, and Escape cancels key capture)
+const RESERVED_KEYS = ['Escape', 'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+    'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight', 'CapsLock', 'Tab'];
+
+export class MicrophoneMode {
+    constructor() {
+        this.elements = {
+            section: document.getElementById('micModeSection'),
+            select: document.getElementById('micModeSelect'),
+            keyBtn: document.getElementById('micKeyBtn'),
+            talkBtn: document.getElementById('pushToTalkBtn')
+        };
+
+        const settings = this.load();
+        this.mode = settings.mode;
+        this.key = settings.key;
+
+        // Hotkeys only work while dictation mode is active
+        this.active = true;
+        this.held = false;
+        this.capturingKey = false;
+
+        this.onPressCallback = null;
+        this.onReleaseCallback = null;
+        this.onToggleCallback = null;
+        this.onChangeCallback = null;
+
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Setup listeners for the hotkey, the Talk button and the settings controls
+     */
+    setupEventListeners() {
+        this.elements.select?.addEventListener('change', (e) => {
+            this.setMode(e.target.value);
+        });
+
+        this.elements.keyBtn?.addEventListener('click', () => {
+            this.captureKey();
+        });
+
+        // Capture phase: the hotkey must not reach the editor or other shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e), true);
+
+        // The key-up is lost when the window loses focus mid-press
+        window.addEventListener('blur', () => this.release());
+
+        const talkBtn = this.elements.talkBtn;
+        if (talkBtn) {
+            talkBtn.addEventListener('pointerdown', (e) => {
+                // Keep the focus (and caret) in the editor
+                e.preventDefault();
+                talkBtn.setPointerCapture?.(e.pointerId);
+                this.press();
+            });
+            ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+                talkBtn.addEventListener(type, () => this.release());
+            });
+            // Long-press on touch screens would open the context menu
+            talkBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+        }
+    }
+
+    /**
+     * Handle the hotkey being pressed
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyDown(e) {
+        if (this.capturingKey) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.finishKeyCapture(e.code);
+            return;
+        }
+
+        if (!this.isHotkey(e)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.repeat) return;
+
+        if (this.mode === MIC_MODES.PUSH_TO_TALK) {
+            this.press();
+        } else if (this.onToggleCallback) {
+            this.onToggleCallback();
+        }
+    }
+
+    /**
+     * Handle the hotkey being let go
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyUp(e) {
+        if (e.code !== this.key || this.mode !== MIC_MODES.PUSH_TO_TALK) return;
+
+        e.preventDefault();
+        this.release();
+    }
+
+    /**
+     * Check if a key event is the hotkey of the current mode
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean}
+     */
+    isHotkey(e) {
+        if (!this.active || this.mode === MIC_MODES.CONTINUOUS) return false;
+        if (e.code !== this.key || e.ctrlKey || e.metaKey || e.altKey) return false;
+
+        // Form fields keep their keys (the editor is contenteditable, not a field)
+        const target = e.target;
+        return !(target instanceof HTMLElement && target.closest('input, textarea, select'));
+    }
+
+    /**
+     * Start a push-to-talk press
+     */
+    press() {
+        if (!this.active || this.mode !== MIC_MODES.PUSH_TO_TALK || this.held) return;
+
+        this.held = true;
+        this.elements.talkBtn?.classList.add('pressed');
+        if (this.onPressCallback) this.onPressCallback();
+    }
+
+    /**
+     * End a push-to-talk press
+     */
+    release() {
+        if (!this.held) return;
+
+        this.held = false;
+        this.elements.talkBtn?.classList.remove('pressed');
+        if (this.onReleaseCallback) this.onReleaseCallback();
+    }
+
+    /**
+     * Check if push-to-talk is being held
+     * @returns {boolean}
+     */
+    isHeld() {
+        return this.held;
+    }
+
+    /**
+     * Get the current mode
+     * @returns {string} One of MIC_MODES
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Change and remember the mode
+     * @param {string} mode - One of MIC_MODES
+     */
+    setMode(mode) {
+        if (!Object.values(MIC_MODES).includes(mode) || mode === this.mode) return;
+
+        this.release();
+        this.mode = mode;
+        this.save();
+        this.updateControls();
+        if (this.onChangeCallback) this.onChangeCallback(mode);
+    }
+
+    /**
+     * Get the hotkey
+     * @returns {string} KeyboardEvent.code
+     */
+    getKey() {
+        return this.key;
+    }
+
+    /**
+     * Get the hotkey as shown to the user
+     * @returns {string} Key name
+     */
+    getKeyLabel() {
+        return MicrophoneMode.formatKey(this.key);
+    }
+
+    /**
+     * Wait for the next key press and make it the hotkey
+     */
+    captureKey() {
+        this.release();
+        this.capturingKey = true;
+        if (this.elements.keyBtn) {
+            this.elements.keyBtn.textContent = 'Press a key…';
+            this.elements.keyBtn.classList.add('capturing');
+        }
+    }
+
+    /**
+     * Finish capturing the hotkey
+     * @param {string} code - KeyboardEvent.code pressed (Escape cancels)
+     */
+    finishKeyCapture(code) {
+        this.capturingKey = false;
+        this.elements.keyBtn?.classList.remove('capturing');
+
+        if (!RESERVED_KEYS.includes(code)) {
+            this.key = code;
+            this.save();
+            if (this.onChangeCallback) this.onChangeCallback(this.mode);
+        }
+
+        this.updateControls();
+    }
+
+    /**
+     * Turn hotkeys and the Talk button on or off (off in typing mode)
+     * @param {boolean} active - Accept input
+     */
+    setActive(active) {
+        this.active = !!active;
+        if (!this.active) this.release();
+        this.updateControls();
+    }
+
+    /**
+     * Show the controls that apply to the current mode
+     */
+    updateControls() {
+        const { section, select, keyBtn, talkBtn } = this.elements;
+        const label = this.getKeyLabel();
+
+        if (section) section.hidden = !this.active;
+        if (select) select.value = this.mode;
+
+        if (keyBtn) {
+            keyBtn.hidden = this.mode === MIC_MODES.CONTINUOUS;
+            keyBtn.textContent = `Key: ${label}`;
+            keyBtn.title = 'Change the hotkey';
+        }
+
+        if (talkBtn) {
+            talkBtn.hidden = !this.active || this.mode !== MIC_MODES.PUSH_TO_TALK;
+            talkBtn.title = `Hold to dictate (or hold ${label})`;
+        }
+    }
+
+    /**
+     * Format a KeyboardEvent.code for display
+     * @param {string} code - Key code (e.g. 'KeyA', 'Digit1', 'F9')
+     * @returns {string} Key name (e.g. 'A', '1', 'F9')
+     */
+    static formatKey(code) {
+        return code
+            .replace(/^Key/, '')
+            .replace(/^Digit/, '')
+            .replace(/^Numpad/, 'Num ')
+            .replace(/(Left|Right)$/, ' $1')
+            .trim();
+    }
+
+    /**
+     * Load the mode and hotkey from localStorage
+     * @returns {Object} { mode, key }
+     */
+    load() {
+        const settings = { mode: MIC_MODES.CONTINUOUS, key: DEFAULT_KEY };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Object.values(MIC_MODES).includes(stored.mode)) {
+                settings.mode = stored.mode;
+            }
+            if (stored && typeof stored.key === 'string' && stored.key && !RESERVED_KEYS.includes(stored.key)) {
+                settings.key = stored.key;
+            }
+        } catch (error) {
+            console.error('[MicrophoneMode] Failed to load settings:', error);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Persist the mode and hotkey to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ mode: this.mode, key: this.key }));
+        } catch (error) {
+            console.error('[MicrophoneMode] Failed to save settings:', error);
+        }
+    }
+
+    /**
+     * Set callback for a push-to-talk press
+     * @param {Function} callback - Function to call
+     */
+    onPress(callback) {
+        this.onPressCallback = callback;
+    }
+
+    /**
+     * Set callback for a push-to-talk release
+     * @param {Function} callback - Function to call
+     */
+    onRelease(callback) {
+        this.onReleaseCallback = callback;
+    }
+
+    /**
+     * Set callback for the toggle hotkey
+     * @param {Function} callback - Function to call
+     */
+    onToggle(callback) {
+        this.onToggleCallback = callback;
+    }
+
+    /**
+     * Set callback for mode or hotkey changes
+     * @param {Function} callback - Receives the mode
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+}
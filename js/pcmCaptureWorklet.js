@@ -0,0 +1,47 @@
+/**
+ * PCM Capture Worklet
+ * AudioWorkletProcessor that forwards raw microphone samples to the main thread
+ * Loaded with audioWorklet.addModule(), so it runs in the audio rendering thread
+ * and cannot import other modules
+ * Follows Single Responsibility Principle: Only copies audio out of the render thread
+ */
+
+// Samples per message (about 43 ms at 48 kHz); render quanta are only 128
+const BATCH_SIZE = 2048;
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.buffer = new Float32Array(BATCH_SIZE);
+        this.length = 0;
+    }
+
+    /**
+     * Copy the first input channel into the batch buffer
+     * @param {Float32Array[][]} inputs - Input channels per input
+     * @returns {boolean} Keep the processor alive
+     */
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        let offset = 0;
+        while (offset < channel.length) {
+            const count = Math.min(channel.length - offset, BATCH_SIZE - this.length);
+            this.buffer.set(channel.subarray(offset, offset + count), this.length);
+            this.length += count;
+            offset += count;
+
+            if (this.length === BATCH_SIZE) {
+                // Transfer the buffer instead of copying it again
+                this.port.postMessage(this.buffer, [this.buffer.buffer]);
+                this.buffer = new Float32Array(BATCH_SIZE);
+                this.length = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PCMCaptureProcessor);
@@ -0,0 +1,177 @@
+/**
+ * PrintDialog Module
+ * Page layout options for printing and PDF export, remembered between visits
+ * Follows Single Responsibility Principle: Only manages print settings UI
+ */
+
+import { DEFAULT_PRINT_SETTINGS, PAGE_SIZES, FONT_STACKS } from './printExporter.js';
+
+const STORAGE_KEY = 'voicescript-print-settings';
+
+export class PrintDialog {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('printPanel'),
+            closeBtn: document.getElementById('printCloseBtn'),
+            confirmBtn: document.getElementById('printConfirmBtn'),
+            pageSize: document.getElementById('printPageSize'),
+            orientation: document.getElementById('printOrientation'),
+            margin: document.getElementById('printMargin'),
+            fontFamily: document.getElementById('printFontFamily'),
+            fontSize: document.getElementById('printFontSize'),
+            showTitle: document.getElementById('printShowTitle'),
+            showDate: document.getElementById('printShowDate'),
+            pageNumbers: document.getElementById('printPageNumbers')
+        };
+
+        this.settings = this.load();
+        this.onPrintCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dialog controls
+     */
+    setupEventListeners() {
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.close();
+        });
+
+        this.elements.confirmBtn?.addEventListener('click', () => {
+            this.settings = this.readForm();
+            this.save();
+            this.close();
+
+            if (this.onPrintCallback) {
+                this.onPrintCallback(this.getSettings());
+            }
+        });
+    }
+
+    /**
+     * Show the dialog with the current settings
+     */
+    open() {
+        if (!this.elements.panel) return;
+        this.fillForm(this.settings);
+        this.elements.panel.hidden = false;
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (this.elements.panel) this.elements.panel.hidden = true;
+    }
+
+    /**
+     * Check if the dialog is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.elements.panel && !this.elements.panel.hidden;
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} Print settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Put settings into the form controls
+     * @param {Object} settings - Print settings
+     */
+    fillForm(settings) {
+        const { elements } = this;
+        elements.pageSize.value = settings.pageSize;
+        elements.orientation.value = settings.orientation;
+        elements.margin.value = settings.margin;
+        elements.fontFamily.value = settings.fontFamily;
+        elements.fontSize.value = settings.fontSize;
+        elements.showTitle.checked = settings.showTitle;
+        elements.showDate.checked = settings.showDate;
+        elements.pageNumbers.value = settings.pageNumbers;
+    }
+
+    /**
+     * Read settings from the form controls
+     * @returns {Object} Print settings
+     */
+    readForm() {
+        const { elements } = this;
+        return PrintDialog.normalize({
+            pageSize: elements.pageSize.value,
+            orientation: elements.orientation.value,
+            margin: elements.margin.value,
+            fontFamily: elements.fontFamily.value,
+            fontSize: elements.fontSize.value,
+            showTitle: elements.showTitle.checked,
+            showDate: elements.showDate.checked,
+            pageNumbers: elements.pageNumbers.value
+        });
+    }
+
+    /**
+     * Load settings from localStorage
+     * @returns {Object} Print settings
+     */
+    load() {
+        try {
+            return PrintDialog.normalize(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+        } catch (error) {
+            console.error('[PrintDialog] Failed to load settings:', error);
+            return { ...DEFAULT_PRINT_SETTINGS };
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('[PrintDialog] Failed to save settings:', error);
+        }
+    }
+
+    /**
+     * Replace invalid or missing values with defaults
+     * @param {Object} settings - Raw settings
+     * @returns {Object} Valid settings
+     */
+    static normalize(settings) {
+        const defaults = DEFAULT_PRINT_SETTINGS;
+        const number = (value, min, max, fallback) => {
+            const parsed = value === '' ? NaN : Number(value);
+            return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+        };
+
+        return {
+            pageSize: PAGE_SIZES.includes(settings.pageSize) ? settings.pageSize : defaults.pageSize,
+            orientation: ['portrait', 'landscape'].includes(settings.orientation) ? settings.orientation : defaults.orientation,
+            margin: number(settings.margin, 5, 50, defaults.margin),
+            fontFamily: Object.hasOwn(FONT_STACKS, settings.fontFamily || '') ? settings.fontFamily : defaults.fontFamily,
+            fontSize: number(settings.fontSize, 8, 24, defaults.fontSize),
+            showTitle: typeof settings.showTitle === 'boolean' ? settings.showTitle : defaults.showTitle,
+            showDate: typeof settings.showDate === 'boolean' ? settings.showDate : defaults.showDate,
+            pageNumbers: ['none', 'page', 'page-of-total'].includes(settings.pageNumbers) ? settings.pageNumbers : defaults.pageNumbers
+        };
+    }
+
+    /**
+     * Set callback for confirming the dialog
+     * @param {Function} callback - Receives print settings
+     */
+    onPrint(callback) {
+        this.onPrintCallback = callback;
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * PrintExporter Module
+ * Lays out documents as paginated pages and prints them (or saves as PDF)
+ * through the browser's print pipeline, entirely offline
+ * Follows Single Responsibility Principle: Only builds and prints page layouts
+ */
+
+import { DocumentExporter } from './documentExporter.js';
+
+export const PAGE_SIZES = ['A4', 'Letter', 'Legal', 'A5'];
+
+// System fonts only (no network). Devanagari and Bengali fonts are listed in
+// every stack so untagged Hindi/Bengali text still falls back to a font that
+// shapes conjuncts and matras correctly
+export const FONT_STACKS = {
+    serif: "'Noto Serif', 'Noto Serif Devanagari', 'Noto Serif Bengali', 'Nirmala UI', 'Kohinoor Devanagari', 'Kohinoor Bangla', 'Mangal', 'Vrinda', Georgia, 'Times New Roman', serif",
+    sans: "'Noto Sans', 'Noto Sans Devanagari', 'Noto Sans Bengali', 'Nirmala UI', 'Kohinoor Devanagari', 'Kohinoor Bangla', 'Mangal', 'Vrinda', 'Segoe UI', Arial, sans-serif"
+};
+
+// Script fonts preferred for text tagged as Hindi or Bengali
+const SCRIPT_FONTS = {
+    hi: {
+        serif: "'Noto Serif Devanagari', 'Nirmala UI', 'Kohinoor Devanagari', 'Mangal'",
+        sans: "'Noto Sans Devanagari', 'Nirmala UI', 'Kohinoor Devanagari', 'Mangal'"
+    },
+    bn: {
+        serif: "'Noto Serif Bengali', 'Nirmala UI', 'Kohinoor Bangla', 'Vrinda'",
+        sans: "'Noto Sans Bengali', 'Nirmala UI', 'Kohinoor Bangla', 'Vrinda'"
+    }
+};
+
+export const DEFAULT_PRINT_SETTINGS = {
+    pageSize: 'A4',
+    orientation: 'portrait',
+    margin: 20,
+    fontFamily: 'serif',
+    fontSize: 12,
+    showTitle: true,
+    showDate: true,
+    pageNumbers: 'page-of-total'
+};
+
+export class PrintExporter {
+    constructor() {
+        this.frame = null;
+    }
+
+    /**
+     * Build a standalone, paginated HTML document
+     * @param {string} title - Document title
+     * @param {string} bodyHTML - Content (paragraphs and lists)
+     * @param {Object} settings - Layout settings (see DEFAULT_PRINT_SETTINGS)
+     * @returns {string} HTML document
+     */
+    buildDocument(title, bodyHTML, settings = {}) {
+        const options = { ...DEFAULT_PRINT_SETTINGS, ...settings };
+        const fontStack = FONT_STACKS[options.fontFamily] || FONT_STACKS.serif;
+        const marginBoxFont = `font-family: ${fontStack}; font-size: 9pt; color: #57534E;`;
+
+        const marginBoxes = [];
+        if (options.showTitle) {
+            marginBoxes.push(`@top-left { content: ${PrintExporter.cssString(title)}; ${marginBoxFont} }`);
+        }
+        if (options.showDate) {
+            marginBoxes.push(`@top-right { content: ${PrintExporter.cssString(new Date().toLocaleDateString())}; ${marginBoxFont} }`);
+        }
+        if (options.pageNumbers === 'page') {
+            marginBoxes.push(`@bottom-center { content: "Page " counter(page); ${marginBoxFont} }`);
+        } else if (options.pageNumbers === 'page-of-total') {
+            marginBoxes.push(`@bottom-center { content: "Page " counter(page) " of " counter(pages); ${marginBoxFont} }`);
+        }
+
+        const scriptRules = Object.entries(SCRIPT_FONTS).map(([lang, fonts]) =>
+            `    [lang="${lang}"] { font-family: ${fonts[options.fontFamily] || fonts.serif}, ${fontStack}; }`
+        ).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${DocumentExporter.escapeHTML(title)}</title>
+<style>
+    @page {
+        size: ${options.pageSize} ${options.orientation};
+        margin: ${options.margin}mm;
+        ${marginBoxes.join('\n        ')}
+    }
+    html { font-family: ${fontStack}; font-size: ${options.fontSize}pt; line-height: 1.6; color: #000; }
+    body { margin: 0; }
+    /* No letter-spacing: it breaks Indic conjuncts apart */
+    p, li { letter-spacing: normal; orphans: 2; widows: 2; }
+    p { margin: 0 0 0.8em; }
+    ul { margin: 0 0 0.8em; padding-left: 1.5em; }
+${scriptRules}
+</style>
+</head>
+<body>
+${bodyHTML}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Open the browser print dialog for a document (choose "Save as PDF" there)
+     * @param {string} html - Document from buildDocument()
+     * @returns {Promise<void>} Resolves once the dialog was opened
+     */
+    print(html) {
+        this.removeFrame();
+
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.className = 'print-frame';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.srcdoc = html;
+
+            frame.addEventListener('load', async () => {
+                const frameWindow = frame.contentWindow;
+
+                try {
+                    // Local fonts must be ready or the first page prints with fallbacks
+                    await frameWindow.document.fonts?.ready;
+
+                    frameWindow.addEventListener('afterprint', () => {
+                        setTimeout(() => this.removeFrame(), 0);
+                    });
+
+                    frameWindow.focus();
+                    frameWindow.print();
+                    resolve();
+                } catch (error) {
+                    console.error('[PrintExporter] Print failed:', error);
+                    this.removeFrame();
+                    reject(error);
+                }
+            }, { once: true });
+
+            this.frame = frame;
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Remove the hidden print frame
+     */
+    removeFrame() {
+        if (this.frame) {
+            this.frame.remove();
+            this.frame = null;
+        }
+    }
+
+    /**
+     * Quote text as a CSS string that is safe inside a <style> element
+     * @param {string} text - Text
+     * @returns {string} CSS string literal
+     */
+    static cssString(text) {
+        const escaped = String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/</g, '\\3C ')
+            .replace(/[\r\n]+/g, ' ');
+        return `"${escaped}"`;
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * RecognitionEngine Module
+ * Common interface for speech-to-text engines used by DictationApp
+ * Implementations provide start(), stop() and, if needed, setLanguage(),
+ * setVocabulary() and transcribeAudio(), and report through the emit helpers below
+ * Follows Open/Closed Principle: New engines extend this class, the app is unchanged
+ */
+
+export class RecognitionEngine {
+    constructor() {
+        this.isListening = false;
+        this.currentLanguage = 'en-US';
+
+        // Terms the user expects to dictate (hints, used where the engine supports them)
+        this.vocabulary = [];
+
+        // Timing: ms since the dictation session started
+        this.sessionStartTime = null;
+
+        this.onResultCallback = null;
+        this.onErrorCallback = null;
+        this.onStartCallback = null;
+        this.onEndCallback = null;
+        this.onReconnectingCallback = null;
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        throw new Error(`${this.constructor.name} does not implement stop()`);
+    }
+
+    /**
+     * Change language
+     * @param {string} languageCode - Language code (e.g., 'en-US', 'hi-IN')
+     */
+    setLanguage(languageCode) {
+        this.currentLanguage = languageCode;
+    }
+
+    /**
+     * Suggest terms the speaker is likely to say
+     * @param {Array<string>} terms - Words and phrases
+     */
+    setVocabulary(terms) {
+        this.vocabulary = [...terms];
+    }
+
+    /**
+     * Get current language
+     * @returns {string} Current language code
+     */
+    getLanguage() {
+        return this.currentLanguage;
+    }
+
+    /**
+     * Check if currently listening
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isListening;
+    }
+
+    /**
+     * Check if this engine can run in the current browser
+     * @returns {boolean}
+     */
+    isSupported() {
+        return true;
+    }
+
+    /**
+     * Check if this engine can transcribe recorded audio (audio file import)
+     * @returns {boolean}
+     */
+    canTranscribeAudio() {
+        return false;
+    }
+
+    /**
+     * Transcribe a clip of recorded audio, outside a dictation session
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the samples
+     * @returns {Promise<string>} Transcribed text
+     */
+    transcribeAudio(samples, sampleRate) {
+        return Promise.reject(new Error(`${this.constructor.name} cannot transcribe recorded audio`));
+    }
+
+    /**
+     * Get time since the dictation session started
+     * @returns {number} Milliseconds (0 when not in a session)
+     */
+    getElapsedTime() {
+        return this.sessionStartTime === null ? 0 : Date.now() - this.sessionStartTime;
+    }
+
+    /**
+     * Report that listening started (internal restarts keep the session clock)
+     */
+    emitStart() {
+        this.isListening = true;
+        if (this.sessionStartTime === null) {
+            this.sessionStartTime = Date.now();
+        }
+
+        if (this.onStartCallback) {
+            this.onStartCallback();
+        }
+    }
+
+    /**
+     * Report that listening ended and the session is over
+     */
+    emitEnd() {
+        this.isListening = false;
+        this.sessionStartTime = null;
+
+        if (this.onEndCallback) {
+            this.onEndCallback();
+        }
+    }
+
+    /**
+     * Report recognised speech
+     * @param {Object} result - { final, interim, isFinal, timing: { start, end } | null,
+     *                           alternatives: other transcripts of the final text, best first (optional),
+     *                           confidence: 0-1 for the final text (optional) }
+     */
+    emitResult(result) {
+        if (this.onResultCallback) {
+            this.onResultCallback(result);
+        }
+    }
+
+    /**
+     * Report an error
+     * @param {string} error - Error code (Web Speech API codes where they apply)
+     */
+    emitError(error) {
+        if (this.onErrorCallback) {
+            this.onErrorCallback(error);
+        }
+    }
+
+    /**
+     * Report that the engine lost its session and will try again
+     * @param {Object} info - { attempt, maxAttempts, delay (ms), reason }
+     */
+    emitReconnecting(info) {
+        if (this.onReconnectingCallback) {
+            this.onReconnectingCallback(info);
+        }
+    }
+
+    /**
+     * Set callback for results
+     * @param {Function} callback - Function to call with results
+     */
+    onResult(callback) {
+        this.onResultCallback = callback;
+    }
+
+    /**
+     * Set callback for errors
+     * @param {Function} callback - Function to call on error
+     */
+    onError(callback) {
+        this.onErrorCallback = callback;
+    }
+
+    /**
+     * Set callback for start event
+     * @param {Function} callback - Function to call when recognition starts
+     */
+    onStart(callback) {
+        this.onStartCallback = callback;
+    }
+
+    /**
+     * Set callback for end event
+     * @param {Function} callback - Function to call when recognition ends
+     */
+    onEnd(callback) {
+        this.onEndCallback = callback;
+    }
+
+    /**
+     * Set callback for automatic reconnect attempts
+     * @param {Function} callback - Receives { attempt, maxAttempts, delay, reason }
+     */
+    onReconnecting(callback) {
+        this.onReconnectingCallback = callback;
+    }
+}
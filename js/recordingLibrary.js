@@ -0,0 +1,81 @@
+/**
+ * RecordingLibrary Module
+ * Stores the audio recorded during dictation sessions, per document
+ * Follows Single Responsibility Principle: Only manages recording records
+ */
+
+export class RecordingLibrary {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Reserve an id for a recording that is about to start
+     * (dictated phrases reference it before the audio is saved)
+     * @param {string} documentId - Document id
+     * @returns {string} Recording id
+     */
+    createId(documentId) {
+        return `${documentId}-rec-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Save a finished recording
+     * @param {string} id - Id from createId()
+     * @param {string} documentId - Document id
+     * @param {Object} audio - { blob, duration (ms), offset: ms between the
+     *                         dictation session start and the first recorded sample }
+     * @returns {Promise<Object>} Recording record
+     */
+    async create(id, documentId, { blob, duration, offset }) {
+        const recording = {
+            id: id,
+            documentId: documentId,
+            blob: blob,
+            duration: duration,
+            offset: offset,
+            createdAt: Date.now()
+        };
+
+        await this.storage.put('recordings', recording);
+        return recording;
+    }
+
+    /**
+     * Get recordings of a document, newest first
+     * @param {string} documentId - Document id
+     * @returns {Promise<Array>} Recordings
+     */
+    async list(documentId) {
+        const recordings = await this.storage.getAllByIndex('recordings', 'documentId', documentId);
+        return recordings.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Get a recording by id
+     * @param {string} id - Recording id
+     * @returns {Promise<Object|undefined>} Recording
+     */
+    get(id) {
+        return this.storage.get('recordings', id);
+    }
+
+    /**
+     * Delete a recording
+     * @param {string} id - Recording id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.storage.delete('recordings', id);
+    }
+
+    /**
+     * Delete every recording of a document
+     * @param {string} documentId - Document id
+     * @returns {Promise<void>}
+     */
+    async removeAll(documentId) {
+        const recordings = await this.list(documentId);
+        await Promise.all(recordings.map(recording => this.remove(recording.id)));
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * RecoveryBanner Module
+ * Offers to recover an interrupted dictation session and lists what was recovered
+ * Follows Single Responsibility Principle: Only manages the recovery banner UI
+ */
+
+export class RecoveryBanner {
+    constructor() {
+        this.elements = {
+            banner: document.getElementById('recoveryBanner'),
+            message: document.getElementById('recoveryMessage'),
+            list: document.getElementById('recoveryList'),
+            recoverBtn: document.getElementById('recoverBtn'),
+            detailsBtn: document.getElementById('recoveryDetailsBtn'),
+            dismissBtn: document.getElementById('dismissRecoveryBtn')
+        };
+
+        this.onRecoverCallback = null;
+        this.onDismissCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for banner buttons
+     */
+    setupEventListeners() {
+        this.elements.recoverBtn?.addEventListener('click', () => {
+            if (this.onRecoverCallback) this.onRecoverCallback();
+        });
+
+        this.elements.detailsBtn?.addEventListener('click', () => {
+            const list = this.elements.list;
+            list.hidden = !list.hidden;
+            this.elements.detailsBtn.textContent = list.hidden ? 'Show details' : 'Hide details';
+        });
+
+        this.elements.dismissBtn?.addEventListener('click', () => {
+            this.hide();
+            if (this.onDismissCallback) this.onDismissCallback();
+        });
+    }
+
+    /**
+     * Offer to recover unsaved dictation
+     * @param {Array} items - Items: { label, detail }
+     */
+    showOffer(items) {
+        this.show(
+            `Your last dictation session was interrupted. ${RecoveryBanner.count(items)} ${items.length === 1 ? 'was' : 'were'} not saved.`,
+            items,
+            true
+        );
+    }
+
+    /**
+     * List what was put back into the editor
+     * @param {Array} items - Items: { label, detail }
+     */
+    showRecovered(items) {
+        this.show(`Recovered ${RecoveryBanner.count(items)} from the interrupted session.`, items, false);
+    }
+
+    /**
+     * Show the banner
+     * @param {string} message - Banner text
+     * @param {Array} items - Items: { label, detail }
+     * @param {boolean} canRecover - Show the Recover button
+     */
+    show(message, items, canRecover) {
+        const { banner, list } = this.elements;
+        if (!banner) return;
+
+        this.elements.message.textContent = message;
+        this.elements.recoverBtn.hidden = !canRecover;
+        this.elements.dismissBtn.textContent = canRecover ? 'Discard' : 'Close';
+
+        list.innerHTML = '';
+        items.forEach(({ label, detail }) => {
+            const item = document.createElement('li');
+
+            const labelElement = document.createElement('span');
+            labelElement.className = 'recovery-label';
+            labelElement.textContent = label;
+
+            const detailElement = document.createElement('span');
+            detailElement.className = 'recovery-detail';
+            detailElement.textContent = detail;
+
+            item.append(labelElement, detailElement);
+            list.appendChild(item);
+        });
+
+        // Details start collapsed when offering, open after recovering
+        list.hidden = canRecover;
+        this.elements.detailsBtn.textContent = list.hidden ? 'Show details' : 'Hide details';
+        banner.hidden = false;
+    }
+
+    /**
+     * Hide the banner
+     */
+    hide() {
+        if (this.elements.banner) this.elements.banner.hidden = true;
+    }
+
+    /**
+     * Describe how many phrases a list holds
+     * @param {Array} items - Items
+     * @returns {string} e.g. "3 dictated phrases"
+     */
+    static count(items) {
+        return `${items.length} dictated phrase${items.length === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Set callback for the Recover button
+     * @param {Function} callback - Function to call
+     */
+    onRecover(callback) {
+        this.onRecoverCallback = callback;
+    }
+
+    /**
+     * Set callback for the Discard button
+     * @param {Function} callback - Function to call
+     */
+    onDismiss(callback) {
+        this.onDismissCallback = callback;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * ReplayEngine Module
+ * Recognition engine that plays back a JSON script of results and errors,
+ * for demos and reproducible bug reports without a microphone
+ * Follows Single Responsibility Principle: Only replays recorded recognition events
+ *
+ * Script format:
+ * {
+ *   "events": [
+ *     { "at": 400,  "type": "interim", "text": "hello" },
+ *     { "at": 900,  "type": "final",   "text": "hello world",
+ *       "alternatives": ["hello word"], "confidence": 0.62 },
+ *     { "at": 1500, "type": "error",   "error": "no-speech" },
+ *     { "at": 2000, "type": "end" }
+ *   ]
+ * }
+ * "at" is milliseconds since start(). "alternatives" and "confidence" are
+ * optional. Without an "end" event the session ends after the last event.
+ */
+
+import { RecognitionEngine } from './recognitionEngine.js';
+
+const EVENT_TYPES = ['interim', 'final', 'error', 'end'];
+
+export class ReplayEngine extends RecognitionEngine {
+    /**
+     * @param {string} scriptUrl - URL of the JSON script
+     */
+    constructor(scriptUrl) {
+        super();
+        this.scriptUrl = scriptUrl;
+        this.script = null;
+        this.timers = [];
+
+        // Start of the phrase being replayed, for result timing
+        this.phraseStart = null;
+    }
+
+    /**
+     * Load and validate the script (once)
+     * @returns {Promise<Object>} Script
+     */
+    async load() {
+        if (this.script) return this.script;
+
+        const response = await fetch(this.scriptUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${this.scriptUrl}`);
+        }
+
+        this.script = ReplayEngine.parseScript(await response.json());
+        return this.script;
+    }
+
+    /**
+     * Start replaying the script from the beginning
+     */
+    async start() {
+        if (this.isListening) {
+            console.warn('Already listening');
+            return;
+        }
+
+        // Claim the session now so a second start() during loading is ignored
+        this.isListening = true;
+
+        let script;
+        try {
+            script = await this.load();
+        } catch (error) {
+            console.error('[ReplayEngine] Failed to load script:', error);
+            this.emitError('replay-script');
+            this.emitEnd();
+            return;
+        }
+
+        // stop() was called while the script was loading
+        if (!this.isListening) return;
+
+        this.phraseStart = null;
+        this.emitStart();
+
+        script.events.forEach(event => {
+            this.timers.push(setTimeout(() => this.play(event), event.at));
+        });
+
+        const hasEnd = script.events.some(event => event.type === 'end');
+        if (!hasEnd) {
+            const last = script.events.reduce((max, event) => Math.max(max, event.at), 0);
+            this.timers.push(setTimeout(() => this.finish(), last));
+        }
+    }
+
+    /**
+     * Stop replaying
+     */
+    stop() {
+        if (!this.isListening) {
+            console.warn('Not currently listening');
+            return;
+        }
+
+        // A real engine reports the end asynchronously too
+        this.clearTimers();
+        setTimeout(() => this.finish(), 0);
+    }
+
+    /**
+     * Emit one script event
+     * @param {Object} event - Script event
+     */
+    play(event) {
+        if (!this.isListening) return;
+
+        switch (event.type) {
+            case 'interim':
+                if (this.phraseStart === null) this.phraseStart = event.at;
+                this.emitResult({ final: '', interim: event.text, isFinal: false, timing: null });
+                break;
+
+            case 'final':
+                this.emitResult({
+                    final: event.text,
+                    interim: '',
+                    isFinal: true,
+                    timing: { start: this.phraseStart ?? event.at, end: event.at },
+                    alternatives: [event.text, ...(event.alternatives || [])],
+                    confidence: event.confidence ?? null
+                });
+                this.phraseStart = null;
+                break;
+
+            case 'error':
+                this.emitError(event.error);
+                break;
+
+            case 'end':
+                this.finish();
+                break;
+        }
+    }
+
+    /**
+     * End the session and cancel pending events
+     */
+    finish() {
+        this.clearTimers();
+        if (this.isListening) this.emitEnd();
+    }
+
+    /**
+     * Cancel pending events
+     */
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    /**
+     * Validate a script and sort its events by time
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} { events }
+     */
+    static parseScript(data) {
+        if (!data || !Array.isArray(data.events)) {
+            throw new Error('Replay script must have an "events" array');
+        }
+
+        const events = data.events.map((event, index) => {
+            const at = Number(event?.at);
+            if (!Number.isFinite(at) || at < 0) {
+                throw new Error(`Event ${index}: "at" must be a non-negative number`);
+            }
+            if (!EVENT_TYPES.includes(event.type)) {
+                throw new Error(`Event ${index}: unknown type "${event.type}"`);
+            }
+            if ((event.type === 'interim' || event.type === 'final') && typeof event.text !== 'string') {
+                throw new Error(`Event ${index}: "${event.type}" needs a "text" string`);
+            }
+            if (event.alternatives !== undefined &&
+                (!Array.isArray(event.alternatives) || event.alternatives.some(text => typeof text !== 'string'))) {
+                throw new Error(`Event ${index}: "alternatives" must be an array of strings`);
+            }
+            if (event.confidence !== undefined &&
+                (typeof event.confidence !== 'number' || event.confidence < 0 || event.confidence > 1)) {
+                throw new Error(`Event ${index}: "confidence" must be a number from 0 to 1`);
+            }
+            if (event.type === 'error' && typeof event.error !== 'string') {
+                throw new Error(`Event ${index}: "error" needs an "error" code`);
+            }
+            return { ...event, at };
+        });
+
+        // Stable sort keeps same-time events in script order
+        events.sort((a, b) => a.at - b.at);
+
+        return { events };
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * SessionJournal Module
+ * Rolling journal of processed dictation so an interrupted session
+ * (crash, reload) can be recovered. Uses localStorage because its writes are
+ * synchronous: an entry is on disk before the editor even changes
+ * Follows Single Responsibility Principle: Only records dictation history
+ */
+
+const STORAGE_KEY = 'voicescript-session-journal';
+
+// Entries kept; saved ones beyond this are dropped oldest first
+const MAX_ENTRIES = 50;
+
+export class SessionJournal {
+    constructor() {
+        this.state = this.load();
+    }
+
+    /**
+     * Record a processed final transcript
+     * @param {Object} entry - { documentId, transcript, type: 'text' | 'command', text, commandType, command, timing,
+     *                          alternatives, confidence, language }
+     * @returns {Object} Stored entry
+     */
+    record(entry) {
+        const stored = {
+            ...entry,
+            seq: ++this.state.seq,
+            time: Date.now(),
+            saved: false
+        };
+
+        this.state.entries.push(stored);
+        this.state.interim = null;
+        this.trim();
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Remember the phrase currently being spoken
+     * @param {string} documentId - Document the phrase belongs to
+     * @param {string} text - Interim transcript
+     */
+    setInterim(documentId, text) {
+        this.state.interim = text ? { documentId, text, time: Date.now() } : null;
+        this.save();
+    }
+
+    /**
+     * Forget the phrase currently being spoken
+     */
+    clearInterim() {
+        if (!this.state.interim) return;
+        this.state.interim = null;
+        this.save();
+    }
+
+    /**
+     * Get the sequence number of the newest entry
+     * @returns {number}
+     */
+    getLastSequence() {
+        return this.state.seq;
+    }
+
+    /**
+     * Mark a document's entries as persisted
+     * @param {string} documentId - Document id
+     * @param {number} upTo - Last sequence number included in the save
+     */
+    markSaved(documentId, upTo = Infinity) {
+        let changed = false;
+
+        this.state.entries.forEach(entry => {
+            if (!entry.saved && entry.documentId === documentId && entry.seq <= upTo) {
+                entry.saved = true;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.trim();
+            this.save();
+        }
+    }
+
+    /**
+     * Get dictation that never reached storage
+     * @returns {Object} { entries, interim }
+     */
+    getUnsaved() {
+        return {
+            entries: this.state.entries.filter(entry => !entry.saved),
+            interim: this.state.interim
+        };
+    }
+
+    /**
+     * Check if anything would be lost
+     * @returns {boolean}
+     */
+    hasUnsaved() {
+        const { entries, interim } = this.getUnsaved();
+        return entries.length > 0 || !!interim;
+    }
+
+    /**
+     * Give up on unsaved entries (after recovering or dismissing them)
+     */
+    discardUnsaved() {
+        this.state.entries.forEach(entry => {
+            entry.saved = true;
+        });
+        this.state.interim = null;
+        this.trim();
+        this.save();
+    }
+
+    /**
+     * Drop the oldest saved entries beyond the limit (unsaved ones are kept)
+     */
+    trim() {
+        let excess = this.state.entries.length - MAX_ENTRIES;
+        if (excess <= 0) return;
+
+        this.state.entries = this.state.entries.filter(entry => {
+            if (excess > 0 && entry.saved) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Load the journal from localStorage
+     * @returns {Object} Journal state
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.entries)) {
+                return {
+                    seq: Number(stored.seq) || 0,
+                    entries: stored.entries,
+                    interim: stored.interim || null
+                };
+            }
+        } catch (error) {
+            console.error('[SessionJournal] Failed to load journal:', error);
+        }
+
+        return { seq: 0, entries: [], interim: null };
+    }
+
+    /**
+     * Persist the journal to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('[SessionJournal] Failed to save journal:', error);
+        }
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * SpeechChunker Module
+ * Splits a stream of microphone samples into utterances at pauses, using an
+ * energy-based voice activity detector with an adaptive noise floor
+ * Follows Single Responsibility Principle: Only decides where speech starts and ends
+ */
+
+export const DEFAULT_CHUNKER_OPTIONS = {
+    // Pause that ends an utterance (ms)
+    silenceDuration: 700,
+    // Utterances are cut here even without a pause (ms)
+    maxDuration: 15000,
+    // Shorter bursts (coughs, clicks) are dropped (ms)
+    minSpeechDuration: 250,
+    // Audio kept from before speech was detected, so first syllables survive (ms)
+    preRoll: 300,
+    // Speech must be this many times louder than the noise floor
+    thresholdRatio: 3,
+    // RMS below which everything counts as silence
+    minThreshold: 0.008
+};
+
+export class SpeechChunker {
+    /**
+     * @param {number} sampleRate - Sample rate of the pushed audio
+     * @param {Object} options - Overrides for DEFAULT_CHUNKER_OPTIONS
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = { ...DEFAULT_CHUNKER_OPTIONS, ...options };
+
+        this.noiseFloor = this.options.minThreshold / this.options.thresholdRatio;
+        this.samplesSeen = 0;
+
+        // Recent audio for the pre-roll
+        this.history = [];
+        this.historyLength = 0;
+
+        // Utterance in progress
+        this.frames = null;
+        this.frameLength = 0;
+        this.speechStart = 0;
+        this.speechLength = 0;
+        this.silenceLength = 0;
+
+        this.onSpeechStartCallback = null;
+        this.onUtteranceCallback = null;
+    }
+
+    /**
+     * Feed captured audio
+     * @param {Float32Array} samples - Mono samples
+     */
+    push(samples) {
+        const loud = this.isSpeech(samples);
+        const time = this.samplesSeen;
+        this.samplesSeen += samples.length;
+
+        if (!this.frames) {
+            if (!loud) {
+                this.remember(samples);
+                return;
+            }
+
+            // Speech begins: start from the remembered pre-roll
+            this.frames = this.history;
+            this.frameLength = this.historyLength;
+            this.speechStart = time - this.historyLength;
+            this.speechLength = 0;
+            this.silenceLength = 0;
+            this.history = [];
+            this.historyLength = 0;
+
+            if (this.onSpeechStartCallback) this.onSpeechStartCallback();
+        }
+
+        this.frames.push(samples);
+        this.frameLength += samples.length;
+
+        if (loud) {
+            this.speechLength += samples.length;
+            this.silenceLength = 0;
+        } else {
+            this.silenceLength += samples.length;
+        }
+
+        if (this.silenceLength >= this.toSamples(this.options.silenceDuration) ||
+            this.frameLength >= this.toSamples(this.options.maxDuration)) {
+            this.flush();
+        }
+    }
+
+    /**
+     * End the utterance in progress, if any (e.g. when dictation stops)
+     */
+    flush() {
+        if (!this.frames) return;
+
+        const utterance = {
+            samples: this.getCurrentAudio(),
+            start: this.toMilliseconds(this.speechStart),
+            end: this.toMilliseconds(this.speechStart + this.frameLength - this.silenceLength)
+        };
+        const hasSpeech = this.speechLength >= this.toSamples(this.options.minSpeechDuration);
+
+        this.frames = null;
+        this.frameLength = 0;
+
+        if (hasSpeech && this.onUtteranceCallback) {
+            this.onUtteranceCallback(utterance);
+        }
+    }
+
+    /**
+     * Get the audio of the utterance in progress
+     * @returns {Float32Array|null} Samples, or null when nobody is speaking
+     */
+    getCurrentAudio() {
+        if (!this.frames) return null;
+
+        const audio = new Float32Array(this.frameLength);
+        let offset = 0;
+        this.frames.forEach(frame => {
+            audio.set(frame, offset);
+            offset += frame.length;
+        });
+        return audio;
+    }
+
+    /**
+     * Get how long the utterance in progress has lasted
+     * @returns {number} Milliseconds (0 when nobody is speaking)
+     */
+    getCurrentDuration() {
+        return this.frames ? this.toMilliseconds(this.frameLength) : 0;
+    }
+
+    /**
+     * Classify a block of samples and adapt the noise floor
+     * @param {Float32Array} samples - Mono samples
+     * @returns {boolean} True if the block is louder than the threshold
+     */
+    isSpeech(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(sum / (samples.length || 1));
+
+        const threshold = Math.max(this.options.minThreshold, this.noiseFloor * this.options.thresholdRatio);
+        const loud = rms > threshold;
+
+        // Follow the background level down quickly and up slowly
+        if (!loud) {
+            const rate = rms < this.noiseFloor ? 0.2 : 0.02;
+            this.noiseFloor += (rms - this.noiseFloor) * rate;
+        }
+
+        return loud;
+    }
+
+    /**
+     * Keep the most recent audio for the pre-roll
+     * @param {Float32Array} samples - Mono samples
+     */
+    remember(samples) {
+        this.history.push(samples);
+        this.historyLength += samples.length;
+
+        const limit = this.toSamples(this.options.preRoll);
+        while (this.history.length > 1 && this.historyLength - this.history[0].length >= limit) {
+            this.historyLength -= this.history.shift().length;
+        }
+    }
+
+    /**
+     * Convert milliseconds to a sample count
+     * @param {number} ms - Milliseconds
+     * @returns {number} Samples
+     */
+    toSamples(ms) {
+        return Math.round(ms * this.sampleRate / 1000);
+    }
+
+    /**
+     * Convert a sample count to milliseconds
+     * @param {number} samples - Samples
+     * @returns {number} Milliseconds
+     */
+    toMilliseconds(samples) {
+        return Math.round(samples * 1000 / this.sampleRate);
+    }
+
+    /**
+     * Set callback for the start of an utterance
+     * @param {Function} callback - Function to call
+     */
+    onSpeechStart(callback) {
+        this.onSpeechStartCallback = callback;
+    }
+
+    /**
+     * Set callback for a finished utterance
+     * @param {Function} callback - Receives { samples, start, end } (times in ms since the first push)
+     */
+    onUtterance(callback) {
+        this.onUtteranceCallback = callback;
+    }
+}
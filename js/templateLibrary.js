@@ -0,0 +1,192 @@
+/**
+ * TemplateLibrary Module
+ * Stores reusable document templates with {{placeholders}}
+ * Follows Single Responsibility Principle: Only manages template records
+ */
+
+import { DocumentLibrary } from './documentLibrary.js';
+
+// {{Field name}} in template text
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const EXPORT_FORMAT = 'voicescript-templates';
+const EXPORT_VERSION = 1;
+
+export const PLACEHOLDER_CLASS = 'template-placeholder';
+
+export class TemplateLibrary {
+    /**
+     * @param {DocumentStorage} storage - Persistent storage
+     * @param {DocumentImporter} importer - Used to sanitise imported templates
+     */
+    constructor(storage, importer) {
+        this.storage = storage;
+        this.importer = importer;
+    }
+
+    /**
+     * Get all templates, sorted by name
+     * @returns {Promise<Array>} Templates
+     */
+    async list() {
+        const templates = await this.storage.getAll('templates');
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a template by id
+     * @param {string} id - Template id
+     * @returns {Promise<Object|undefined>} Template
+     */
+    get(id) {
+        return this.storage.get('templates', id);
+    }
+
+    /**
+     * Save editor content as a new template
+     * @param {string} name - Template name
+     * @param {string} editorHTML - Editor content (placeholder chips or {{text}})
+     * @returns {Promise<Object>} Created template
+     */
+    async create(name, editorHTML) {
+        const now = Date.now();
+        const template = {
+            id: DocumentLibrary.generateId(),
+            name: (name || '').trim() || 'Untitled template',
+            html: TemplateLibrary.toTemplateHTML(editorHTML),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.storage.put('templates', template);
+        return template;
+    }
+
+    /**
+     * Delete a template
+     * @param {string} id - Template id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.storage.delete('templates', id);
+    }
+
+    /**
+     * Serialise all templates as JSON
+     * @returns {Promise<string>} JSON text
+     */
+    async exportJSON() {
+        const templates = await this.list();
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            templates: templates.map(({ name, html }) => ({ name, html }))
+        }, null, 2);
+    }
+
+    /**
+     * Add templates from exported JSON
+     * @param {string} text - JSON text from exportJSON()
+     * @returns {Promise<number>} Number of templates added
+     */
+    async importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a valid JSON file');
+        }
+
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.templates)) {
+            throw new Error('Not a template export file');
+        }
+
+        const valid = data.templates.filter(template =>
+            template && typeof template.name === 'string' && typeof template.html === 'string'
+        );
+
+        // Files may come from anyone: keep only what the editor supports
+        for (const template of valid) {
+            await this.create(template.name, this.importer.sanitize(template.html));
+        }
+
+        return valid.length;
+    }
+
+    /**
+     * Convert editor HTML to stored template HTML: placeholder chips become
+     * {{text}} again and dictation timing is dropped
+     * @param {string} html - Editor HTML
+     * @returns {string} Template HTML
+     */
+    static toTemplateHTML(html) {
+        const container = document.createElement('template');
+        container.innerHTML = html || '';
+
+        container.content.querySelectorAll(`.${PLACEHOLDER_CLASS}`).forEach(chip => {
+            chip.replaceWith(`{{${chip.dataset.placeholder || chip.textContent}}}`);
+        });
+
+        container.content.querySelectorAll('.dictation-segment').forEach(segment => {
+            segment.replaceWith(...segment.childNodes);
+        });
+
+        return container.innerHTML;
+    }
+
+    /**
+     * Convert stored template HTML to editor HTML with placeholder chips
+     * @param {string} html - Template HTML
+     * @returns {string} Editor HTML
+     */
+    static toEditorHTML(html) {
+        const container = document.createElement('template');
+        container.innerHTML = html || '';
+
+        const walker = document.createTreeWalker(container.content, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const matches = [...text.matchAll(PLACEHOLDER_PATTERN)];
+            if (matches.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+
+            for (const match of matches) {
+                if (match.index > lastIndex) {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+                }
+
+                const chip = document.createElement('span');
+                chip.className = PLACEHOLDER_CLASS;
+                chip.dataset.placeholder = match[1];
+                chip.textContent = match[1];
+                fragment.appendChild(chip);
+
+                lastIndex = match.index + match[0].length;
+            }
+
+            if (lastIndex < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            }
+
+            node.replaceWith(fragment);
+        });
+
+        return container.innerHTML;
+    }
+
+    /**
+     * Count placeholders in template HTML
+     * @param {string} html - Template HTML
+     * @returns {number}
+     */
+    static countPlaceholders(html) {
+        return ((html || '').match(PLACEHOLDER_PATTERN) || []).length;
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * TemplatePanel Module
+ * Renders the templates dialog: template list, save, import and export
+ * Follows Single Responsibility Principle: Only manages the templates UI
+ */
+
+import { TemplateLibrary } from './templateLibrary.js';
+
+export class TemplatePanel {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('templatePanel'),
+            openBtn: document.getElementById('templatesBtn'),
+            closeBtn: document.getElementById('templateCloseBtn'),
+            saveBtn: document.getElementById('saveTemplateBtn'),
+            exportBtn: document.getElementById('exportTemplatesBtn'),
+            importBtn: document.getElementById('importTemplatesBtn'),
+            importInput: document.getElementById('importTemplatesInput'),
+            list: document.getElementById('templateList')
+        };
+
+        this.onOpenCallback = null;
+        this.onSaveCallback = null;
+        this.onUseCallback = null;
+        this.onDeleteCallback = null;
+        this.onExportCallback = null;
+        this.onImportCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dialog controls
+     */
+    setupEventListeners() {
+        this.elements.openBtn?.addEventListener('click', () => {
+            this.open();
+        });
+
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.close();
+        });
+
+        this.elements.saveBtn?.addEventListener('click', () => {
+            if (this.onSaveCallback) this.onSaveCallback();
+        });
+
+        this.elements.exportBtn?.addEventListener('click', () => {
+            if (this.onExportCallback) this.onExportCallback();
+        });
+
+        this.elements.importBtn?.addEventListener('click', () => {
+            this.elements.importInput?.click();
+        });
+
+        this.elements.importInput?.addEventListener('change', () => {
+            const file = this.elements.importInput.files[0];
+            // Reset so choosing the same file again still fires change
+            this.elements.importInput.value = '';
+            if (file && this.onImportCallback) this.onImportCallback(file);
+        });
+
+        this.elements.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-template-id]');
+            if (!button || !item) return;
+
+            const id = item.dataset.templateId;
+            if (button.dataset.action === 'use' && this.onUseCallback) {
+                this.onUseCallback(id);
+            } else if (button.dataset.action === 'delete' && this.onDeleteCallback) {
+                this.onDeleteCallback(id);
+            }
+        });
+    }
+
+    /**
+     * Show the dialog
+     */
+    open() {
+        if (!this.elements.panel) return;
+        this.elements.panel.hidden = false;
+        if (this.onOpenCallback) this.onOpenCallback();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (this.elements.panel) this.elements.panel.hidden = true;
+    }
+
+    /**
+     * Check if the dialog is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.elements.panel && !this.elements.panel.hidden;
+    }
+
+    /**
+     * Render the template list
+     * @param {Array} templates - Templates, sorted by name
+     */
+    render(templates) {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (templates.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = 'No templates yet. Write a document with {{placeholders}} and save it as a template.';
+            list.appendChild(empty);
+            return;
+        }
+
+        templates.forEach(template => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.templateId = template.id;
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+
+            const name = document.createElement('div');
+            name.className = 'snapshot-name';
+            name.textContent = template.name;
+
+            const count = TemplateLibrary.countPlaceholders(template.html);
+            const details = document.createElement('div');
+            details.className = 'snapshot-time';
+            details.textContent = `${count} placeholder${count === 1 ? '' : 's'}`;
+
+            info.append(name, details);
+
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+            actions.append(
+                this.createButton('use', 'Use', 'Start a new document from this template'),
+                this.createButton('delete', '🗑', 'Delete template')
+            );
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create a small action button
+     * @param {string} action - Action name
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @returns {HTMLElement} Button element
+     */
+    createButton(action, text, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'snapshot-action';
+        button.dataset.action = action;
+        button.title = title;
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * Set callback for opening the dialog
+     * @param {Function} callback - Function to call
+     */
+    onOpen(callback) {
+        this.onOpenCallback = callback;
+    }
+
+    /**
+     * Set callback for saving the current document as a template
+     * @param {Function} callback - Function to call
+     */
+    onSave(callback) {
+        this.onSaveCallback = callback;
+    }
+
+    /**
+     * Set callback for starting a document from a template
+     * @param {Function} callback - Receives template id
+     */
+    onUse(callback) {
+        this.onUseCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting a template
+     * @param {Function} callback - Receives template id
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for exporting templates
+     * @param {Function} callback - Function to call
+     */
+    onExport(callback) {
+        this.onExportCallback = callback;
+    }
+
+    /**
+     * Set callback for importing templates
+     * @param {Function} callback - Receives the chosen File
+     */
+    onImport(callback) {
+        this.onImportCallback = callback;
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * TextDiff Module
+ * Word-level diff between two texts (Myers' O(ND) algorithm, in linear space)
+ */
+
+/**
+ * Split text into word and whitespace tokens
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens
+ */
+export function tokenizeWords(text) {
+    return (text || '').match(/\S+|\s+/g) || [];
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Parts: { type: 'equal' | 'insert' | 'delete', text }
+ */
+export function diffWords(oldText, newText) {
+    const a = tokenizeWords(oldText);
+    const b = tokenizeWords(newText);
+
+    // Common prefix and suffix need no search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const operations = [
+        ...a.slice(0, start).map(token => ['equal', token]),
+        ...myers(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map(token => ['equal', token])
+    ];
+
+    return cleanup(operations);
+}
+
+/**
+ * Merge operations into parts, folding lone whitespace between two changes
+ * into the change so "quick brown" -> "slow red" reads as one replacement
+ * @param {Array} operations - Operations as [type, token]
+ * @returns {Array<Object>} Parts
+ */
+function cleanup(operations) {
+    const parts = [];
+    let deleted = '';
+    let inserted = '';
+
+    const flushChanges = () => {
+        if (deleted) parts.push({ type: 'delete', text: deleted });
+        if (inserted) parts.push({ type: 'insert', text: inserted });
+        deleted = '';
+        inserted = '';
+    };
+
+    operations.forEach(([type, token], index) => {
+        if (type === 'delete') {
+            deleted += token;
+        } else if (type === 'insert') {
+            inserted += token;
+        } else {
+            const next = operations[index + 1];
+            const betweenChanges = (deleted || inserted) && next && next[0] !== 'equal';
+
+            if (betweenChanges && !token.trim()) {
+                deleted += token;
+                inserted += token;
+                return;
+            }
+
+            flushChanges();
+            const previous = parts[parts.length - 1];
+            if (previous && previous.type === 'equal') {
+                previous.text += token;
+            } else {
+                parts.push({ type: 'equal', text: token });
+            }
+        }
+    });
+
+    flushChanges();
+    return parts;
+}
+
+/**
+ * Shortest edit script between two token arrays, in linear space
+ * (Myers' divide-and-conquer variant: split at the middle snake and recurse)
+ * @param {Array<string>} a - Original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @returns {Array} Operations as [type, token]
+ */
+function myers(a, b) {
+    const operations = [];
+    diffRange(a, 0, a.length, b, 0, b.length, operations);
+    return operations;
+}
+
+/**
+ * Add the edits between a[aStart..aEnd) and b[bStart..bEnd) to operations
+ * @param {Array<string>} a - Original tokens
+ * @param {number} aStart - First original token
+ * @param {number} aEnd - End of the original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @param {number} bStart - First changed token
+ * @param {number} bEnd - End of the changed tokens
+ * @param {Array} operations - Operations so far, appended to
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, operations) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        operations.push(['equal', a[aStart]]);
+        aStart++;
+        bStart++;
+    }
+
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+        suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    // One side empty (e.g. the text was cleared): nothing to search
+    if (aStart === aEnd) {
+        for (let i = bStart; i < bEnd; i++) operations.push(['insert', b[i]]);
+    } else if (bStart === bEnd) {
+        for (let i = aStart; i < aEnd; i++) operations.push(['delete', a[i]]);
+    } else {
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, operations);
+        for (let i = aStart + snake.x; i < aStart + snake.u; i++) operations.push(['equal', a[i]]);
+        diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, operations);
+    }
+
+    for (let i = aEnd; i < aEnd + suffix; i++) operations.push(['equal', a[i]]);
+}
+
+/**
+ * Find the middle snake of a shortest edit script: searching from both ends
+ * at once, the diagonal run where the two searches meet
+ * @param {Array<string>} a - Original tokens
+ * @param {number} aStart - First original token
+ * @param {number} aEnd - End of the original tokens (differs from b at both ends)
+ * @param {Array<string>} b - Changed tokens
+ * @param {number} bStart - First changed token
+ * @param {number} bEnd - End of the changed tokens
+ * @returns {Object} Snake from (x, y) to (u, v), relative to aStart and bStart
+ */
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+
+    // Furthest x reached on each diagonal k = x - y, forwards and backwards
+    // (backwards, x and y count from the ends)
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            const startX = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            const startY = startX - k;
+            let x = startX;
+            let y = startY;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+
+            // Backward diagonal delta - k was searched up to d - 1
+            if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+                return { x: startX, y: startY, u: x, v: y };
+            }
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            const startX = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            const startY = startX - k;
+            let x = startX;
+            let y = startY;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+
+            if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+                return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+            }
+        }
+    }
+
+    // Not reached: the searches always meet by d = max
+    return { x: 0, y: 0, u: 0, v: 0 };
+}
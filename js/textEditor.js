@@ -4,6 +4,24 @@
  * Follows Single Responsibility Principle: Only manages text content
  */
 
+import { PLACEHOLDER_CLASS } from './templateLibrary.js';
+import { TextMap } from './textMap.js';
+
+// Spans of each unit in the editor's text (as read by TextMap)
+const UNIT_PATTERNS = {
+    word: /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu,
+    sentence: /[^\s.!?।][^.!?।\n]*[.!?।]*/gu,
+    line: /[^\n]+/g,
+    paragraph: /[^\n]+(?:\n[^\n]+)*/g
+};
+
+// Elements for each format, and the equivalents a browser or an import may have used
+const FORMAT_TAGS = {
+    bold: { tag: 'B', matches: ['B', 'STRONG'] },
+    italic: { tag: 'I', matches: ['I', 'EM'] },
+    underline: { tag: 'U', matches: ['U'] }
+};
+
 export class TextEditor {
     constructor(editorElement) {
         this.editor = editorElement;
@@ -21,15 +39,29 @@ export class TextEditor {
             document.execCommand('insertText', false, text);
         });
 
-        // Track content changes
-        this.editor.addEventListener('input', () => {
+        // Track content changes, including programmatic edits (dictation,
+        // helpers) that never fire an input event
+        this.observer = new MutationObserver(() => {
             this.onContentChange();
         });
+        this.observer.observe(this.editor, {
+            childList: true,
+            characterData: true,
+            subtree: true
+        });
 
         // Handle keyboard shortcuts
         this.editor.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
         });
+
+        // Clicking a placeholder selects all of it, so typing replaces it
+        this.editor.addEventListener('click', (e) => {
+            const placeholder = e.target.closest?.(`.${PLACEHOLDER_CLASS}`);
+            if (placeholder) {
+                this.selectPlaceholder(placeholder);
+            }
+        });
     }
 
     /**
@@ -40,6 +72,13 @@ export class TextEditor {
         const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
         const modifier = isMac ? e.metaKey : e.ctrlKey;
 
+        // Tab / Shift+Tab: move between template placeholders
+        if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey && this.getPlaceholders().length > 0) {
+            e.preventDefault();
+            this.selectNextPlaceholder(e.shiftKey);
+            return;
+        }
+
         if (!modifier) return;
 
         switch (e.key.toLowerCase()) {
@@ -102,10 +141,24 @@ export class TextEditor {
     /**
      * Insert text at cursor position
      * @param {string} text - Text to insert
+     * @param {Array<string>} formats - 'bold', 'italic' and/or 'underline' for the words
      */
-    insertText(text) {
+    insertText(text, formats = []) {
         if (!text) return;
 
+        // A space before the next word (see autoCapitalize) goes after the cursor
+        const [, leading, words, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+        if (formats.length > 0) {
+            const fragment = document.createDocumentFragment();
+            if (leading) fragment.appendChild(document.createTextNode(leading));
+            if (words) fragment.appendChild(TextEditor.wrapInFormats(document.createTextNode(words), formats));
+            const lastNode = fragment.lastChild;
+            if (trailing) fragment.appendChild(document.createTextNode(trailing));
+            this.insertFragment(fragment, lastNode);
+            return;
+        }
+
         // Get current selection
         const selection = window.getSelection();
         
@@ -123,8 +176,8 @@ export class TextEditor {
         range.insertNode(textNode);
 
         // Move cursor to end of inserted text
-        range.setStartAfter(textNode);
-        range.setEndAfter(textNode);
+        range.setStart(textNode, textNode.length - trailing.length);
+        range.collapse(true);
         selection.removeAllRanges();
         selection.addRange(range);
 
@@ -132,6 +185,178 @@ export class TextEditor {
         this.scrollToCursor();
     }
 
+    /**
+     * Insert HTML at cursor position, or at the end if the cursor is elsewhere
+     * @param {string} html - Trusted (already sanitised) HTML
+     */
+    insertHTML(html) {
+        if (!html) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.insertFragment(template.content);
+    }
+
+    /**
+     * Insert dictated text wrapped in a segment carrying its timestamps
+     * @param {string} text - Text to insert (may start with a space)
+     * @param {Object} timing - { start, end } in ms since dictation start
+     * @param {Object} details - { alternatives: transcripts offered for correction, confidence: 0-1,
+     *                            recording: id of the audio recording the timing refers to,
+     *                            language: language the words are in (e.g. 'hi'),
+     *                            formats: 'bold', 'italic' and/or 'underline' for the words }
+     * @returns {HTMLElement|null} The segment element
+     */
+    insertDictatedText(text, timing, details = {}) {
+        const { alternatives = [], confidence = null, recording = null, language = null, formats = [] } = details;
+
+        if (!text) return null;
+
+        const [, leading, words, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        const fragment = document.createDocumentFragment();
+
+        // Separating spaces stay outside so captions get just the words
+        if (leading) {
+            fragment.appendChild(document.createTextNode(leading));
+        }
+
+        if (words) {
+            const segment = document.createElement('span');
+            segment.className = 'dictation-segment';
+            segment.dataset.start = Math.round(timing.start);
+            segment.dataset.end = Math.round(timing.end);
+            if (alternatives.length > 1) {
+                segment.dataset.alternatives = JSON.stringify(alternatives);
+            }
+            if (typeof confidence === 'number') {
+                segment.dataset.confidence = confidence.toFixed(2);
+            }
+            if (recording) {
+                segment.dataset.recording = recording;
+            }
+            if (language) {
+                segment.lang = language;
+            }
+            // Formatting goes inside, so correcting the phrase keeps it
+            segment.appendChild(TextEditor.wrapInFormats(document.createTextNode(words), formats));
+            fragment.appendChild(segment);
+        }
+
+        const segment = fragment.lastChild?.nodeType === Node.ELEMENT_NODE ? fragment.lastChild : null;
+        const lastNode = fragment.lastChild;
+        if (trailing) {
+            fragment.appendChild(document.createTextNode(trailing));
+        }
+        this.insertFragment(fragment, lastNode);
+        return segment;
+    }
+
+    /**
+     * Get the alternatives stored on a dictated segment
+     * @param {HTMLElement} segment - Segment element
+     * @returns {Array<string>} Alternatives (empty if none)
+     */
+    getSegmentAlternatives(segment) {
+        try {
+            const alternatives = JSON.parse(segment?.dataset.alternatives || '[]');
+            return Array.isArray(alternatives) ? alternatives.filter(text => typeof text === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Find the dictated segment at or before the cursor
+     * (the last one in the document if the cursor is outside the editor)
+     * @param {boolean} withAlternatives - Only segments that have alternatives
+     * @returns {HTMLElement|null} Segment element
+     */
+    getSegmentBeforeCaret(withAlternatives = true) {
+        const selector = withAlternatives ? '.dictation-segment[data-alternatives]' : '.dictation-segment';
+        const segments = Array.from(this.editor.querySelectorAll(selector));
+        if (!this.hasSelection()) {
+            return segments[segments.length - 1] || null;
+        }
+
+        const caret = window.getSelection().getRangeAt(0).cloneRange();
+        caret.collapse(true);
+
+        // comparePoint: -1 = before the caret, 0 = at it
+        const before = segments.filter(segment => caret.comparePoint(segment, 0) <= 0);
+        return before[before.length - 1] || null;
+    }
+
+    /**
+     * Replace the words of a dictated segment, keeping any formatting inside it
+     * (the new text takes the formatting of the segment's first text run)
+     * @param {HTMLElement} segment - Segment element
+     * @param {string} text - Replacement text
+     */
+    replaceSegmentText(segment, text) {
+        const walker = document.createTreeWalker(segment, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        if (textNodes.length === 0) {
+            segment.textContent = text;
+        } else {
+            textNodes[0].nodeValue = text;
+            textNodes.slice(1).forEach(node => {
+                // Drop formatting wrappers the removed words leave empty
+                let parent = node.parentNode;
+                node.remove();
+                while (parent !== segment && parent.childNodes.length === 0) {
+                    const next = parent.parentNode;
+                    parent.remove();
+                    parent = next;
+                }
+            });
+        }
+
+        // Caret after the corrected phrase, ready to keep dictating
+        const range = document.createRange();
+        range.setStartAfter(segment);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Insert nodes at cursor position, or at the end if the cursor is elsewhere
+     * @param {DocumentFragment} fragment - Nodes to insert
+     * @param {Node} caretAfter - Node of the fragment to put the cursor after (default: the last)
+     */
+    insertFragment(fragment, caretAfter = fragment.lastChild) {
+        const lastNode = caretAfter;
+
+        const selection = window.getSelection();
+        let range;
+
+        if (this.hasSelection()) {
+            range = selection.getRangeAt(0);
+            range.deleteContents();
+        } else {
+            range = document.createRange();
+            range.selectNodeContents(this.editor);
+            range.collapse(false);
+        }
+
+        range.insertNode(fragment);
+
+        // Move cursor to end of inserted content
+        if (lastNode) {
+            range.setStartAfter(lastNode);
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+
+        this.scrollToCursor();
+    }
+
     /**
      * Get all text content
      * @returns {string} Plain text content
@@ -140,6 +365,38 @@ export class TextEditor {
         return this.editor.textContent || '';
     }
 
+    /**
+     * Get text from the start of the document up to the cursor
+     * (the whole text if the cursor is outside the editor)
+     * @returns {string} Text before the cursor
+     */
+    getTextBeforeCaret() {
+        if (!this.hasSelection()) {
+            return this.getText();
+        }
+
+        const range = document.createRange();
+        range.selectNodeContents(this.editor);
+        const selectionRange = window.getSelection().getRangeAt(0);
+        range.setEnd(selectionRange.startContainer, selectionRange.startOffset);
+        return range.toString();
+    }
+
+    /**
+     * Get text from the cursor to the end of the document, with line breaks
+     * (nothing if the cursor is outside the editor)
+     * @returns {string} Text after the cursor
+     */
+    getTextAfterCaret() {
+        if (!this.hasSelection()) {
+            return '';
+        }
+
+        // TextMap, unlike Range.toString(), keeps the break before the next line or paragraph
+        const map = new TextMap(this.editor);
+        return map.text.slice(this.getSelectionOffsets(map).end);
+    }
+
     /**
      * Get HTML content
      * @returns {string} HTML content
@@ -148,6 +405,14 @@ export class TextEditor {
         return this.editor.innerHTML;
     }
 
+    /**
+     * Replace editor content with HTML
+     * @param {string} html - HTML content
+     */
+    setHTML(html) {
+        this.editor.innerHTML = html || '';
+    }
+
     /**
      * Clear all content
      */
@@ -203,6 +468,428 @@ export class TextEditor {
         }
     }
 
+    /**
+     * Find the text a range command acts on, relative to the cursor
+     * (the end of the document if the cursor is outside the editor)
+     * @param {Object} args - { unit, count, direction: 'back' or 'forward' } or { target }
+     * @returns {Object|null} { map, start, end } (text offsets in map), or null if there is nothing there
+     */
+    findRange(args) {
+        const map = new TextMap(this.editor);
+        const caret = this.getSelectionOffsets(map);
+
+        let spans;
+        if (args.target) {
+            // The nearest occurrence before the cursor, else the first one after it
+            spans = TextEditor.findTarget(map.text, args.target);
+            const before = spans.filter(span => span.start < caret.start);
+            spans = before.length > 0 ? before.slice(-1) : spans.slice(0, 1);
+        } else {
+            spans = TextEditor.findUnits(map.text, args.unit);
+            spans = args.direction === 'forward'
+                ? spans.filter(span => span.end > caret.end).slice(0, args.count)
+                : spans.filter(span => span.start < caret.start).slice(-args.count);
+        }
+
+        if (spans.length === 0) return null;
+        return { map, start: spans[0].start, end: spans[spans.length - 1].end };
+    }
+
+    /**
+     * Get the selection as text offsets
+     * @param {TextMap} map - Map of the editor text
+     * @returns {Object} { start, end } (both at the end if the cursor is outside the editor)
+     */
+    getSelectionOffsets(map) {
+        if (!this.hasSelection()) {
+            return { start: map.text.length, end: map.text.length };
+        }
+
+        const range = window.getSelection().getRangeAt(0);
+        return {
+            start: map.offsetOf(range.startContainer, range.startOffset),
+            end: map.offsetOf(range.endContainer, range.endOffset)
+        };
+    }
+
+    /**
+     * Select a range found by findRange
+     * @param {Object} found - { map, start, end }
+     */
+    selectRange({ map, start, end }) {
+        this.setSelection(map.rangeOf(start, end));
+        this.scrollToCursor();
+    }
+
+    /**
+     * Put the cursor at the start or end of a range found by findRange
+     * @param {Object} found - { map, start, end }
+     * @param {boolean} toEnd - After the range (otherwise before it)
+     */
+    moveCaret({ map, start, end }, toEnd) {
+        const point = map.pointAt(toEnd ? end : start, !toEnd);
+        const range = document.createRange();
+        range.setStart(point.node, point.offset);
+        range.collapse(true);
+
+        this.setSelection(range);
+        this.scrollToCursor();
+    }
+
+    /**
+     * Delete a range found by findRange, with one neighbouring space so
+     * the words around it don't run together or leave a double space
+     * @param {Object} found - { map, start, end }
+     */
+    deleteRange({ map, start, end }) {
+        const text = map.text;
+        const isSpace = (char) => char === ' ' || char === '\u00A0';
+
+        if (isSpace(text[start - 1]) && (end === text.length || /[\s.,!?;:]/.test(text[end]))) {
+            start--;
+        } else if (isSpace(text[end])) {
+            end++;
+        }
+
+        const range = map.rangeOf(start, end);
+        this.setSelection(range);
+
+        // Through execCommand the deletion can be undone
+        if (!document.execCommand('delete', false, null)) {
+            range.deleteContents();
+            this.editor.querySelectorAll('.dictation-segment').forEach(segment => {
+                if (!segment.textContent) segment.remove();
+            });
+        }
+    }
+
+    /**
+     * Capitalize the first letter of each word in a range found by findRange
+     * @param {Object} found - { map, start, end }
+     */
+    capitalizeRange({ map, start, end }) {
+        TextEditor.findUnits(map.text, 'word')
+            .filter(word => word.start >= start && word.end <= end)
+            .forEach(word => {
+                const { node, offset } = map.starts[word.start];
+                const letter = node.data[offset];
+                if (letter !== letter.toUpperCase()) {
+                    node.replaceData(offset, 1, letter.toUpperCase());
+                }
+            });
+
+        // Cursor after the capitalized words, ready to keep dictating
+        this.moveCaret({ map, start, end }, true);
+    }
+
+    /**
+     * Format a range found by findRange
+     * @param {Object} found - { map, start, end }
+     * @param {string} format - 'bold', 'italic' or 'underline'
+     */
+    formatRange({ map, start, end }, format) {
+        const last = this.applyFormat(map.rangeOf(start, end), format);
+        if (last) this.placeCaretAfter(last);
+    }
+
+    /**
+     * Format the selection, or the last dictated phrase before the cursor if nothing is selected
+     * @param {string} format - 'bold', 'italic' or 'underline'
+     * @returns {boolean} False if there was nothing to format
+     */
+    formatSelectionOrLastPhrase(format) {
+        if (this.hasSelection() && !window.getSelection().isCollapsed) {
+            const last = this.applyFormat(window.getSelection().getRangeAt(0), format);
+            if (last) this.placeCaretAfter(last);
+            return !!last;
+        }
+
+        const segment = this.getSegmentBeforeCaret(false);
+        if (!segment) return false;
+
+        // The cursor stays where it is, outside the phrase
+        const caret = this.hasSelection() ? window.getSelection().getRangeAt(0).cloneRange() : null;
+        const range = document.createRange();
+        range.selectNodeContents(segment);
+        const last = this.applyFormat(range, format);
+
+        if (caret) this.setSelection(caret);
+        return !!last;
+    }
+
+    /**
+     * Wrap the text in a range in a format's element (text that already has it is left alone)
+     * @param {Range} range - Range inside the editor
+     * @param {string} format - 'bold', 'italic' or 'underline'
+     * @returns {Node|null} Last node of the formatted text, or null if the range had no text
+     */
+    applyFormat(range, format) {
+        const { tag, matches } = FORMAT_TAGS[format];
+
+        // Work out each text node's part first: wrapping moves the range's boundaries
+        const root = range.commonAncestorContainer;
+        const textNodes = [];
+        if (root.nodeType === Node.TEXT_NODE) {
+            textNodes.push(root);
+        } else {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                if (range.intersectsNode(walker.currentNode)) textNodes.push(walker.currentNode);
+            }
+        }
+
+        const parts = textNodes.map(node => ({
+            node,
+            start: node === range.startContainer ? range.startOffset : 0,
+            end: node === range.endContainer ? range.endOffset : node.length
+        })).filter(part => part.start < part.end && part.node.data.slice(part.start, part.end).trim());
+
+        let last = null;
+        parts.forEach(({ node, start, end }) => {
+            let target = node;
+            const formatted = target.parentElement?.closest(matches.join(', '));
+
+            if (!formatted || !this.editor.contains(formatted)) {
+                if (end < target.length) target.splitText(end);
+                if (start > 0) target = target.splitText(start);
+
+                const wrapper = document.createElement(tag);
+                target.parentNode.insertBefore(wrapper, target);
+                wrapper.appendChild(target);
+                target = wrapper;
+            }
+            last = target;
+        });
+
+        return last;
+    }
+
+    /**
+     * Put the cursor after a node, outside any formatting it ends
+     * @param {Node} node - Node to put the cursor after
+     */
+    placeCaretAfter(node) {
+        const formatTags = Object.values(FORMAT_TAGS).flatMap(format => format.matches);
+        while (node.parentNode !== this.editor && formatTags.includes(node.parentNode.nodeName)
+            && node.parentNode.lastChild === node) {
+            node = node.parentNode;
+        }
+
+        const range = document.createRange();
+        range.setStartAfter(node);
+        range.collapse(true);
+        this.setSelection(range);
+    }
+
+    /**
+     * Wrap a node in elements for formats
+     * @param {Node} node - Node to wrap
+     * @param {Array<string>} formats - 'bold', 'italic' and/or 'underline'
+     * @returns {Node} The outermost wrapper (the node itself if there are no formats)
+     */
+    static wrapInFormats(node, formats) {
+        return formats.filter(format => FORMAT_TAGS[format]).reduce((inner, format) => {
+            const wrapper = document.createElement(FORMAT_TAGS[format].tag);
+            wrapper.appendChild(inner);
+            return wrapper;
+        }, node);
+    }
+
+    /**
+     * Move the cursor or change the selection, so what is dictated or typed next goes there
+     * @param {string} action - DOCUMENT_START, DOCUMENT_END, LINE_START, LINE_END, LINE_UP, LINE_DOWN,
+     *                          NEXT_PARAGRAPH, PREVIOUS_PARAGRAPH, SELECT_LINE, SELECT_PARAGRAPH,
+     *                          SELECT_ALL or UNSELECT
+     * @returns {boolean} False if there is nowhere to go (e.g. no paragraph after the cursor
+     *                    or no line below it)
+     */
+    moveCursor(action) {
+        const selection = window.getSelection();
+
+        // Relative moves start from the end of the document if the cursor is elsewhere
+        this.focus(true);
+
+        switch (action) {
+            case 'DOCUMENT_START': {
+                const range = document.createRange();
+                range.selectNodeContents(this.editor);
+                range.collapse(true);
+                this.setSelection(range);
+                break;
+            }
+            case 'DOCUMENT_END':
+                this.focus();
+                break;
+            case 'SELECT_ALL': {
+                const range = document.createRange();
+                range.selectNodeContents(this.editor);
+                this.setSelection(range);
+                break;
+            }
+            case 'UNSELECT':
+                selection.collapseToEnd();
+                break;
+            case 'LINE_START':
+            case 'LINE_END':
+            case 'LINE_UP':
+            case 'LINE_DOWN':
+                if (!this.moveByLine(action)) return false;
+                break;
+            case 'NEXT_PARAGRAPH':
+            case 'PREVIOUS_PARAGRAPH':
+            case 'SELECT_LINE':
+            case 'SELECT_PARAGRAPH':
+                if (!this.moveByUnit(action)) return false;
+                break;
+            default:
+                console.warn('Unknown cursor action:', action);
+                return false;
+        }
+
+        this.scrollToCursor();
+        return true;
+    }
+
+    /**
+     * Move the cursor by a line: on screen (wrapped lines count) where the browser
+     * supports Selection.modify, otherwise by line breaks in the text
+     * @param {string} action - LINE_START, LINE_END, LINE_UP or LINE_DOWN
+     * @returns {boolean} False if there is no line above or below
+     */
+    moveByLine(action) {
+        const selection = window.getSelection();
+        const moves = {
+            LINE_START: ['backward', 'lineboundary'],
+            LINE_END: ['forward', 'lineboundary'],
+            LINE_UP: ['backward', 'line'],
+            LINE_DOWN: ['forward', 'line']
+        };
+
+        if (typeof selection.modify === 'function') {
+            const before = selection.getRangeAt(0).cloneRange();
+            selection.modify('move', ...moves[action]);
+
+            // On the first or last line, moving up or down leaves the cursor where it was
+            const after = selection.getRangeAt(0);
+            return action === 'LINE_START' || action === 'LINE_END'
+                || before.compareBoundaryPoints(Range.START_TO_START, after) !== 0;
+        }
+
+        const map = new TextMap(this.editor);
+
+        // The paragraph break after the last block (no DOM width) is not a line to move to
+        let length = map.text.length;
+        while (length > 0 && map.starts[length - 1] === map.ends[length - 1]) length--;
+
+        const text = map.text.slice(0, length);
+        const caret = Math.min(this.getSelectionOffsets(map).end, length);
+        const lineStart = text.lastIndexOf('\n', caret - 1) + 1;
+        const lineEnd = text.indexOf('\n', caret) === -1 ? text.length : text.indexOf('\n', caret);
+        const column = caret - lineStart;
+        let target;
+
+        if (action === 'LINE_START') {
+            target = lineStart;
+        } else if (action === 'LINE_END') {
+            target = lineEnd;
+        } else if (action === 'LINE_UP') {
+            if (lineStart === 0) return false;
+            const previousStart = text.lastIndexOf('\n', lineStart - 2) + 1;
+            target = Math.min(previousStart + column, lineStart - 1);
+        } else {
+            if (lineEnd === text.length) return false;
+            const nextEnd = text.indexOf('\n', lineEnd + 1) === -1 ? text.length : text.indexOf('\n', lineEnd + 1);
+            target = Math.min(lineEnd + 1 + column, nextEnd);
+        }
+
+        // At a line break, stay at the end of the line rather than the start of the next one
+        const point = map.pointAt(target, text[target] !== '\n');
+        const range = document.createRange();
+        range.setStart(point.node, point.offset);
+        range.collapse(true);
+        this.setSelection(range);
+        return true;
+    }
+
+    /**
+     * Go to the next or previous paragraph, or select the line or paragraph at the cursor
+     * @param {string} action - NEXT_PARAGRAPH, PREVIOUS_PARAGRAPH, SELECT_LINE or SELECT_PARAGRAPH
+     * @returns {boolean} False if there is no such paragraph or line
+     */
+    moveByUnit(action) {
+        const map = new TextMap(this.editor);
+        const caret = this.getSelectionOffsets(map);
+        const spans = TextEditor.findUnits(map.text, action === 'SELECT_LINE' ? 'line' : 'paragraph');
+        let span;
+
+        if (action === 'NEXT_PARAGRAPH') {
+            span = spans.find(candidate => candidate.start > caret.end);
+        } else if (action === 'PREVIOUS_PARAGRAPH') {
+            // The start of this paragraph, or of the one before if already there
+            span = spans.filter(candidate => candidate.start < caret.start).pop();
+        } else {
+            // The one the cursor is in, or else the nearest one before it
+            span = spans.find(candidate => candidate.start <= caret.start && caret.start <= candidate.end)
+                || spans.filter(candidate => candidate.end < caret.start).pop();
+        }
+
+        if (!span) return false;
+
+        if (action === 'SELECT_LINE' || action === 'SELECT_PARAGRAPH') {
+            this.selectRange({ map, start: span.start, end: span.end });
+        } else {
+            this.moveCaret({ map, start: span.start, end: span.end }, false);
+        }
+        return true;
+    }
+
+    /**
+     * Make a range the selection, with the focus in the editor
+     * @param {Range} range - Range inside the editor
+     */
+    setSelection(range) {
+        this.editor.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Find the spans of a unit in text
+     * @param {string} text - Text (from TextMap)
+     * @param {string} unit - 'word', 'sentence', 'line' or 'paragraph'
+     * @returns {Array<Object>} Spans { start, end }, without trailing whitespace
+     */
+    static findUnits(text, unit) {
+        const pattern = UNIT_PATTERNS[unit];
+        if (!pattern) return [];
+
+        const spans = [];
+        for (const match of text.matchAll(pattern)) {
+            const length = match[0].trimEnd().length;
+            if (length > 0) spans.push({ start: match.index, end: match.index + length });
+        }
+        return spans;
+    }
+
+    /**
+     * Find whole-word occurrences of words in text, ignoring case
+     * @param {string} text - Text (from TextMap)
+     * @param {string} target - Word or words to find
+     * @returns {Array<Object>} Spans { start, end }
+     */
+    static findTarget(text, target) {
+        const words = target.trim().split(/\s+/).filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) return [];
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${words.join('\\s+')}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+        return Array.from(text.matchAll(pattern), match => ({
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
     /**
      * Undo last action
      */
@@ -267,15 +954,86 @@ export class TextEditor {
         }
     }
 
+    /**
+     * Check if the selection (or cursor) is inside the editor
+     * @returns {boolean}
+     */
+    hasSelection() {
+        const selection = window.getSelection();
+        return selection.rangeCount > 0 && this.editor.contains(selection.getRangeAt(0).commonAncestorContainer);
+    }
+
+    /**
+     * Get unfilled template placeholders in document order
+     * @returns {Array<HTMLElement>} Placeholder elements
+     */
+    getPlaceholders() {
+        return Array.from(this.editor.querySelectorAll(`.${PLACEHOLDER_CLASS}`));
+    }
+
+    /**
+     * Select a whole placeholder so the next typed or dictated text replaces it
+     * @param {HTMLElement} placeholder - Placeholder element
+     */
+    selectPlaceholder(placeholder) {
+        this.editor.focus();
+
+        const range = document.createRange();
+        range.selectNode(placeholder);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        this.scrollToCursor();
+    }
+
+    /**
+     * Select the placeholder after (or before) the cursor, wrapping around
+     * @param {boolean} backwards - Search backwards
+     * @returns {boolean} True if a placeholder was selected
+     */
+    selectNextPlaceholder(backwards = false) {
+        const placeholders = this.getPlaceholders();
+        if (placeholders.length === 0) return false;
+
+        const selection = window.getSelection();
+        let target = null;
+
+        if (this.hasSelection()) {
+            const caret = selection.getRangeAt(0).cloneRange();
+            caret.collapse(backwards);
+
+            // comparePoint: 1 = after the caret, -1 = before it
+            const candidates = placeholders.filter(placeholder =>
+                caret.comparePoint(placeholder, 0) === (backwards ? -1 : 1)
+            );
+            target = backwards ? candidates[candidates.length - 1] : candidates[0];
+        }
+
+        if (!target) {
+            target = backwards ? placeholders[placeholders.length - 1] : placeholders[0];
+        }
+
+        this.selectPlaceholder(target);
+        return true;
+    }
+
     /**
      * Focus editor
+     * @param {boolean} keepCaret - Keep the cursor where it is if it is inside the editor
      */
-    focus() {
+    focus(keepCaret = false) {
+        const selection = window.getSelection();
+        if (keepCaret && this.hasSelection()) {
+            this.editor.focus();
+            return;
+        }
+
         this.editor.focus();
         
         // Move cursor to end
         const range = document.createRange();
-        const selection = window.getSelection();
         
         if (this.editor.childNodes.length > 0) {
             const lastNode = this.editor.childNodes[this.editor.childNodes.length - 1];
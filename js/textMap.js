@@ -0,0 +1,137 @@
+/**
+ * TextMap Module
+ * Plain-text view of the editor content, with line breaks, that maps
+ * character offsets back to DOM positions (and DOM positions to offsets)
+ * Follows Single Responsibility Principle: Only translates between text offsets and the DOM
+ */
+
+// Elements that start a new paragraph
+const BLOCK_ELEMENTS = new Set(['DIV', 'P', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'PRE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+export class TextMap {
+    /**
+     * Read the text of an element
+     * @param {HTMLElement} root - Element to map (the editor)
+     */
+    constructor(root) {
+        this.root = root;
+        this.text = '';
+
+        // DOM positions just before and just after each character
+        this.starts = [];
+        this.ends = [];
+
+        this.walk(root);
+    }
+
+    /**
+     * Add the text of a node's children: <br> is '\n', a block is a blank line ('\n\n')
+     * @param {Node} node - Node to read
+     */
+    walk(node) {
+        Array.from(node.childNodes).forEach((child, index) => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                for (let i = 0; i < child.data.length; i++) {
+                    this.append(child.data[i], { node: child, offset: i }, { node: child, offset: i + 1 });
+                }
+            } else if (child.nodeName === 'BR') {
+                this.append('\n', { node: node, offset: index }, { node: node, offset: index + 1 });
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                const block = BLOCK_ELEMENTS.has(child.nodeName);
+                if (block) this.breakParagraph({ node: child, offset: 0 });
+                this.walk(child);
+                if (block) this.breakParagraph({ node: node, offset: index + 1 });
+            }
+        });
+    }
+
+    /**
+     * Add a character
+     * @param {string} char - Character
+     * @param {Object} start - DOM position before it { node, offset }
+     * @param {Object} end - DOM position after it
+     */
+    append(char, start, end) {
+        this.text += char;
+        this.starts.push(start);
+        this.ends.push(end);
+    }
+
+    /**
+     * End the text so far with a blank line (nothing at the start of the text)
+     * @param {Object} point - DOM position of the break
+     */
+    breakParagraph(point) {
+        if (!this.text) return;
+        while (!this.text.endsWith('\n\n')) {
+            this.append('\n', point, point);
+        }
+    }
+
+    /**
+     * Get the text offset of a DOM position
+     * @param {Node} node - Container
+     * @param {number} offset - Offset in the container
+     * @returns {number} Number of characters before the position
+     */
+    offsetOf(node, offset) {
+        const caret = document.createRange();
+        caret.setStart(node, offset);
+        caret.collapse(true);
+
+        // comparePoint: -1 = before the caret. Character starts are in document order
+        let low = 0;
+        let high = this.starts.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            const start = this.starts[middle];
+            if (caret.comparePoint(start.node, start.offset) < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Create a DOM range covering text offsets
+     * @param {number} start - First character
+     * @param {number} end - Character after the last one
+     * @returns {Range} Range (collapsed if start === end)
+     */
+    rangeOf(start, end) {
+        const range = document.createRange();
+        const from = this.pointAt(start, true);
+        range.setStart(from.node, from.offset);
+
+        if (end > start) {
+            const to = this.ends[end - 1];
+            range.setEnd(to.node, to.offset);
+        } else {
+            range.collapse(true);
+        }
+        return range;
+    }
+
+    /**
+     * Get the DOM position at a text offset
+     * @param {number} offset - Character offset
+     * @param {boolean} forward - At a boundary, prefer the start of the next character
+     *   (otherwise the end of the previous one)
+     * @returns {Object} { node, offset }
+     */
+    pointAt(offset, forward) {
+        if (this.starts.length === 0) {
+            return { node: this.root, offset: 0 };
+        }
+        if (offset >= this.starts.length) {
+            return this.ends[this.ends.length - 1];
+        }
+        if (offset <= 0) {
+            return this.starts[0];
+        }
+        return forward ? this.starts[offset] : this.ends[offset - 1];
+    }
+}
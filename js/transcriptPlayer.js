@@ -0,0 +1,326 @@
+/**
+ * TranscriptPlayer Module
+ * Transport bar for a document's recordings: play/pause, seek, speed, choose
+ * and delete recordings, and playing just the slice behind a dictated phrase
+ * Follows Single Responsibility Principle: Only manages audio playback and its controls
+ */
+
+const SPEED_STORAGE_KEY = 'voicescript-playback-speed';
+
+export class TranscriptPlayer {
+    constructor() {
+        this.elements = {
+            bar: document.getElementById('transportBar'),
+            playBtn: document.getElementById('playPauseBtn'),
+            position: document.getElementById('playbackPosition'),
+            time: document.getElementById('playbackTime'),
+            speed: document.getElementById('playbackSpeed'),
+            recordingSelect: document.getElementById('recordingSelect'),
+            deleteBtn: document.getElementById('deleteRecordingBtn')
+        };
+
+        this.audio = new Audio();
+        this.audio.preload = 'metadata';
+
+        this.recordings = [];
+        this.recording = null;
+        this.url = null;
+
+        // Where slice playback stops (seconds), or null to play on
+        this.stopAt = null;
+
+        this.speed = this.loadSpeed();
+
+        this.onTimeUpdateCallback = null;
+        this.onDeleteCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for the audio element and transport controls
+     */
+    setupEventListeners() {
+        this.elements.playBtn?.addEventListener('click', () => {
+            this.togglePlay();
+        });
+
+        this.elements.position?.addEventListener('input', (e) => {
+            this.stopAt = null;
+            this.audio.currentTime = Number(e.target.value);
+        });
+
+        if (this.elements.speed) {
+            this.elements.speed.value = String(this.speed);
+            this.elements.speed.addEventListener('change', (e) => {
+                this.setSpeed(e.target.value);
+            });
+        }
+
+        this.elements.recordingSelect?.addEventListener('change', (e) => {
+            const recording = this.recordings.find(r => r.id === e.target.value);
+            if (recording) this.select(recording);
+        });
+
+        this.elements.deleteBtn?.addEventListener('click', () => {
+            if (this.recording && this.onDeleteCallback) {
+                this.onDeleteCallback(this.recording.id);
+            }
+        });
+
+        this.audio.addEventListener('timeupdate', () => {
+            if (this.stopAt !== null && this.audio.currentTime >= this.stopAt) {
+                this.stopAt = null;
+                this.audio.pause();
+            }
+            this.updateTime();
+            this.notifyTime();
+        });
+
+        this.audio.addEventListener('loadedmetadata', () => {
+            this.updateTime();
+        });
+
+        ['play', 'pause', 'ended'].forEach(type => {
+            this.audio.addEventListener(type, () => {
+                this.updatePlayButton();
+                this.notifyTime();
+            });
+        });
+    }
+
+    /**
+     * Show a document's recordings; the bar hides when there are none
+     * @param {Array<Object>} recordings - Recordings, newest first
+     */
+    setRecordings(recordings) {
+        this.recordings = recordings;
+
+        const { bar, recordingSelect } = this.elements;
+        if (bar) bar.hidden = recordings.length === 0;
+
+        if (recordingSelect) {
+            recordingSelect.innerHTML = '';
+            recordings.forEach(recording => {
+                const label = `${new Date(recording.createdAt).toLocaleString()} · ${TranscriptPlayer.formatTime(recording.duration / 1000)}`;
+                recordingSelect.add(new Option(label, recording.id));
+            });
+        }
+
+        // Keep the loaded recording if it is still there
+        const current = this.recording && recordings.find(r => r.id === this.recording.id);
+        if (current) {
+            if (recordingSelect) recordingSelect.value = current.id;
+        } else if (recordings.length > 0) {
+            this.select(recordings[0]);
+        } else {
+            this.unload();
+        }
+    }
+
+    /**
+     * Load a recording into the player
+     * @param {Object} recording - Recording record
+     */
+    select(recording) {
+        if (this.recording && this.recording.id === recording.id) return;
+
+        this.unload();
+        this.recording = recording;
+        this.url = URL.createObjectURL(recording.blob);
+        this.audio.src = this.url;
+
+        // Loading a source resets the rate to the default rate
+        this.audio.defaultPlaybackRate = this.speed;
+        this.audio.playbackRate = this.speed;
+
+        if (this.elements.recordingSelect) this.elements.recordingSelect.value = recording.id;
+        this.updateTime();
+    }
+
+    /**
+     * Stop playback and release the loaded recording
+     */
+    unload() {
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        this.stopAt = null;
+
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+        this.recording = null;
+        this.updateTime();
+    }
+
+    /**
+     * Get the loaded recording
+     * @returns {Object|null} Recording record
+     */
+    getRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Play part of a recording, then pause
+     * @param {Object} recording - Recording record
+     * @param {number} from - Start (ms into the recording)
+     * @param {number} to - End (ms into the recording)
+     */
+    playRange(recording, from, to) {
+        this.select(recording);
+        this.stopAt = to / 1000;
+        this.seek(Math.max(0, from / 1000), () => this.play());
+    }
+
+    /**
+     * Play from the current position, or pause
+     */
+    togglePlay() {
+        if (!this.recording) return;
+
+        if (this.audio.paused) {
+            // A finished slice continues as normal playback
+            this.stopAt = null;
+            this.play();
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    /**
+     * Start playback
+     */
+    play() {
+        this.audio.play().catch(error => {
+            console.error('[TranscriptPlayer] Playback failed:', error);
+        });
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.audio.pause();
+    }
+
+    /**
+     * Move the playback position, waiting for the audio's metadata if needed
+     * @param {number} seconds - Position
+     * @param {Function} then - Called once the position is set
+     */
+    seek(seconds, then) {
+        const apply = () => {
+            this.audio.currentTime = seconds;
+            if (then) then();
+        };
+
+        if (this.audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            apply();
+        } else {
+            this.audio.addEventListener('loadedmetadata', apply, { once: true });
+        }
+    }
+
+    /**
+     * Change and remember the playback speed
+     * @param {number} speed - Rate (1 = normal)
+     */
+    setSpeed(speed) {
+        const value = Number(speed);
+        this.speed = Number.isFinite(value) && value > 0 ? value : 1;
+        this.audio.defaultPlaybackRate = this.speed;
+        this.audio.playbackRate = this.speed;
+
+        try {
+            localStorage.setItem(SPEED_STORAGE_KEY, String(this.speed));
+        } catch (error) {
+            console.error('[TranscriptPlayer] Failed to save speed:', error);
+        }
+    }
+
+    /**
+     * Load the playback speed from localStorage
+     * @returns {number} Rate
+     */
+    loadSpeed() {
+        try {
+            const value = Number(localStorage.getItem(SPEED_STORAGE_KEY));
+            if (Number.isFinite(value) && value > 0) return value;
+        } catch (error) {
+            console.error('[TranscriptPlayer] Failed to load speed:', error);
+        }
+
+        return 1;
+    }
+
+    /**
+     * Update the position slider and time display
+     */
+    updateTime() {
+        const { position, time } = this.elements;
+        const duration = this.recording
+            ? (Number.isFinite(this.audio.duration) ? this.audio.duration : this.recording.duration / 1000)
+            : 0;
+        const current = this.recording ? this.audio.currentTime : 0;
+
+        if (position) {
+            position.max = String(duration);
+            position.value = String(current);
+            position.disabled = !this.recording;
+        }
+        if (time) {
+            time.textContent = `${TranscriptPlayer.formatTime(current)} / ${TranscriptPlayer.formatTime(duration)}`;
+        }
+    }
+
+    /**
+     * Show play or pause on the play button
+     */
+    updatePlayButton() {
+        const { playBtn } = this.elements;
+        if (!playBtn) return;
+
+        const playing = !this.audio.paused;
+        playBtn.textContent = playing ? '❚❚' : '▶';
+        playBtn.title = playing ? 'Pause' : 'Play recording';
+    }
+
+    /**
+     * Report the playback position (null when paused) for transcript highlighting
+     */
+    notifyTime() {
+        if (!this.onTimeUpdateCallback) return;
+
+        const playing = this.recording && !this.audio.paused;
+        this.onTimeUpdateCallback(this.recording?.id || null, playing ? this.audio.currentTime * 1000 : null);
+    }
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Time
+     * @returns {string} Formatted time
+     */
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Set callback for playback position changes
+     * @param {Function} callback - Receives (recording id, ms into the recording or null when paused)
+     */
+    onTimeUpdate(callback) {
+        this.onTimeUpdateCallback = callback;
+    }
+
+    /**
+     * Set callback for the delete button
+     * @param {Function} callback - Receives the recording id
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+}
@@ -19,6 +19,7 @@ export class UIController {
             // Status
             statusText: document.getElementById('statusText'),
             statusDot: document.getElementById('statusDot'),
+            reconnectCount: document.getElementById('reconnectCount'),
             
             // Language
             languageSelect: document.getElementById('languageSelect'),
@@ -42,7 +43,10 @@ export class UIController {
             
             // Stats
             wordCount: document.getElementById('wordCount'),
-            charCount: document.getElementById('charCount')
+            charCount: document.getElementById('charCount'),
+            uncertainCount: document.getElementById('uncertainCount'),
+            saveStatus: document.getElementById('saveStatus'),
+            saveStatusText: document.getElementById('saveStatusText')
         };
     }
 
@@ -62,6 +66,40 @@ export class UIController {
         this.elements.underlineBtn?.addEventListener('click', () => {
             this.toggleFormatButton('underlineBtn');
         });
+
+        this.setupDropdowns();
+    }
+
+    /**
+     * Setup toolbar dropdown menus (.dropdown > .dropdown-toggle + .dropdown-menu)
+     */
+    setupDropdowns() {
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.dropdown-toggle');
+            const openDropdown = toggle?.closest('.dropdown');
+
+            // Close every other menu; a click on a menu item closes its own menu too
+            document.querySelectorAll('.dropdown.open').forEach(dropdown => {
+                if (dropdown !== openDropdown) {
+                    dropdown.classList.remove('open');
+                }
+            });
+
+            if (openDropdown) {
+                openDropdown.classList.toggle('open');
+            }
+        });
+    }
+
+    /**
+     * Mark the format buttons of the formats applied to dictation
+     * @param {Array<string>} formats - 'bold', 'italic' and/or 'underline'
+     */
+    setDictationFormats(formats) {
+        const buttons = { bold: 'boldBtn', italic: 'italicBtn', underline: 'underlineBtn' };
+        Object.entries(buttons).forEach(([format, buttonId]) => {
+            this.elements[buttonId]?.classList.toggle('dictation-format', formats.includes(format));
+        });
     }
 
     /**
@@ -87,7 +125,7 @@ export class UIController {
 
         if (this.elements.statusDot) {
             // Remove all state classes
-            this.elements.statusDot.classList.remove('listening', 'detecting', 'processing', 'error');
+            this.elements.statusDot.classList.remove('listening', 'detecting', 'processing', 'error', 'reconnecting');
             
             // Add appropriate state class
             if (state === 'listening') {
@@ -98,10 +136,26 @@ export class UIController {
                 this.elements.statusDot.classList.add('processing');
             } else if (state === 'error') {
                 this.elements.statusDot.classList.add('error');
+            } else if (state === 'reconnecting') {
+                this.elements.statusDot.classList.add('reconnecting');
             }
         }
     }
 
+    /**
+     * Show or hide the reconnect attempt counter in the status badge
+     * @param {number} attempt - Current attempt (0 hides the counter)
+     * @param {number} maxAttempts - Attempts before giving up
+     */
+    updateReconnectCount(attempt, maxAttempts) {
+        const counter = this.elements.reconnectCount;
+        if (!counter) return;
+
+        counter.hidden = !attempt;
+        counter.textContent = attempt ? `↻ ${attempt}/${maxAttempts}` : '';
+        counter.title = attempt ? `Reconnect attempt ${attempt} of ${maxAttempts}` : '';
+    }
+
     /**
      * Update current language display
      * @param {string} languageName - Language name to display
@@ -146,6 +200,40 @@ export class UIController {
         }
     }
 
+    /**
+     * Update the number of phrases marked as uncertain
+     * @param {number} count - Marked phrases
+     */
+    updateUncertainCount(count) {
+        const badge = this.elements.uncertainCount;
+        if (!badge) return;
+
+        badge.textContent = count.toString();
+        badge.hidden = count === 0;
+    }
+
+    /**
+     * Update autosave indicator
+     * @param {string} state - State: 'saved', 'saving', 'unsaved', 'error', 'unavailable'
+     */
+    updateSaveStatus(state) {
+        const labels = {
+            saved: 'Saved',
+            saving: 'Saving...',
+            unsaved: 'Unsaved',
+            error: 'Save failed',
+            unavailable: 'Autosave unavailable'
+        };
+
+        if (this.elements.saveStatusText) {
+            this.elements.saveStatusText.textContent = labels[state] || labels.saved;
+        }
+
+        if (this.elements.saveStatus) {
+            this.elements.saveStatus.dataset.state = state;
+        }
+    }
+
     /**
      * Show notification message
      * @param {string} message - Message to show
@@ -272,6 +360,16 @@ export class UIController {
         return window.confirm(message);
     }
 
+    /**
+     * Ask user for a text value
+     * @param {string} message - Prompt message
+     * @param {string} defaultValue - Pre-filled value
+     * @returns {string|null} Entered value, or null if cancelled
+     */
+    prompt(message, defaultValue = '') {
+        return window.prompt(message, defaultValue);
+    }
+
     /**
      * Show interim text preview
      * @param {string} text - Interim text to display
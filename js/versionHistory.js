@@ -0,0 +1,95 @@
+/**
+ * VersionHistory Module
+ * Stores named and automatic snapshots of documents
+ * Follows Single Responsibility Principle: Only manages snapshot records
+ */
+
+// Automatic snapshots kept per document; named ones are never pruned
+const MAX_AUTO_SNAPSHOTS = 50;
+
+export class VersionHistory {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Save a snapshot of a document's content
+     * @param {string} documentId - Document id
+     * @param {string} html - Content to keep
+     * @param {Object} options - { name, auto }
+     * @returns {Promise<Object|null>} Snapshot, or null if nothing changed
+     */
+    async create(documentId, html, { name = '', auto = false } = {}) {
+        const snapshots = await this.list(documentId);
+
+        // Automatic snapshots are skipped when nothing changed since the last one
+        if (auto && snapshots.length > 0 && snapshots[0].html === html) {
+            return null;
+        }
+
+        const snapshot = {
+            id: `${documentId}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            documentId: documentId,
+            html: html,
+            name: name,
+            auto: auto,
+            createdAt: Date.now()
+        };
+
+        await this.storage.put('snapshots', snapshot);
+
+        if (auto) {
+            await this.prune([snapshot, ...snapshots]);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Get snapshots of a document, newest first
+     * @param {string} documentId - Document id
+     * @returns {Promise<Array>} Snapshots
+     */
+    async list(documentId) {
+        const snapshots = await this.storage.getAllByIndex('snapshots', 'documentId', documentId);
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Get a snapshot by id
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Object|undefined>} Snapshot
+     */
+    get(id) {
+        return this.storage.get('snapshots', id);
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.storage.delete('snapshots', id);
+    }
+
+    /**
+     * Delete every snapshot of a document
+     * @param {string} documentId - Document id
+     * @returns {Promise<void>}
+     */
+    async removeAll(documentId) {
+        const snapshots = await this.list(documentId);
+        await Promise.all(snapshots.map(snapshot => this.remove(snapshot.id)));
+    }
+
+    /**
+     * Drop the oldest automatic snapshots beyond the limit
+     * @param {Array} snapshots - Snapshots of one document, newest first
+     * @returns {Promise<void>}
+     */
+    async prune(snapshots) {
+        const excess = snapshots.filter(snapshot => snapshot.auto).slice(MAX_AUTO_SNAPSHOTS);
+        await Promise.all(excess.map(snapshot => this.remove(snapshot.id)));
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Vocabulary Module
+ * The user's own terms (names, products, places) with the spellings they tend
+ * to be misrecognised as. Supplies hints to recognition engines and corrects
+ * close misrecognitions in final results
+ * Follows Single Responsibility Principle: Only manages custom vocabulary
+ */
+
+const STORAGE_KEY = 'voicescript-vocabulary';
+
+// Minimum similarity (0-1) for a fuzzy match
+const FUZZY_THRESHOLD = 0.75;
+
+// Shorter spellings only match exactly; fuzzy matching them hits ordinary words
+const MIN_FUZZY_LENGTH = 5;
+
+// Letters, combining marks (Indic vowel signs) and digits make up words
+const WORD_CORE = /^([^\p{L}\p{M}\p{N}]*)([\s\S]*?)([^\p{L}\p{M}\p{N}]*)$/u;
+
+/**
+ * Reduce a spelling to a rough pronunciation key
+ * (Latin spellings of Indian names vary mostly in these ways)
+ * @param {string} text - Word or phrase
+ * @returns {string} Key
+ */
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}]/gu, '')
+        .replace(/ph/g, 'f')
+        .replace(/w/g, 'v')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/(.)\1+/g, '$1')
+        .normalize('NFC');
+}
+
+/**
+ * Similarity of two keys from their edit distance
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} 0 (different) to 1 (equal)
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+export class Vocabulary {
+    constructor() {
+        this.entries = this.load();
+    }
+
+    /**
+     * Get all entries, sorted by term
+     * @returns {Array<Object>} Entries { id, term, spellings, language }
+     */
+    list() {
+        return [...this.entries].sort((a, b) => a.term.localeCompare(b.term));
+    }
+
+    /**
+     * Add a term, or add spellings to it if it is already there for the language
+     * @param {Object} fields - { term, spellings: Array<string>, language: code, or '' for all }
+     * @returns {Object|null} The entry, or null if the term is empty
+     */
+    add({ term, spellings = [], language = '' }) {
+        const canonical = (term || '').trim().replace(/\s+/g, ' ');
+        if (!canonical) return null;
+
+        const heard = spellings
+            .map(spelling => spelling.trim().replace(/\s+/g, ' '))
+            .filter(spelling => spelling && spelling !== canonical);
+
+        const existing = this.entries.find(entry => entry.term === canonical && entry.language === language);
+        if (existing) {
+            existing.spellings = [...new Set([...existing.spellings, ...heard])];
+            this.save();
+            return existing;
+        }
+
+        const entry = {
+            id: `term-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            term: canonical,
+            spellings: [...new Set(heard)],
+            language: language
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id - Entry id
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * Get the entries that apply to a language
+     * @param {string} languageCode - Recognition language
+     * @returns {Array<Object>} Entries for that language and for all languages
+     */
+    getEntries(languageCode) {
+        return this.entries.filter(entry => !entry.language || entry.language === languageCode);
+    }
+
+    /**
+     * Get the terms to suggest to a recognition engine
+     * @param {string} languageCode - Recognition language
+     * @returns {Array<string>} Terms
+     */
+    getHints(languageCode) {
+        return [...new Set(this.getEntries(languageCode).map(entry => entry.term))];
+    }
+
+    /**
+     * Replace close misrecognitions of the language's terms with the terms
+     * @param {string} text - Recognised text
+     * @param {string} languageCode - Recognition language
+     * @returns {string} Corrected text
+     */
+    apply(text, languageCode) {
+        const variants = [];
+        this.getEntries(languageCode).forEach(entry => {
+            [entry.term, ...entry.spellings].forEach(spelling => {
+                const key = normalize(spelling);
+                if (key) variants.push({ term: entry.term, key, words: spelling.split(' ').length });
+            });
+        });
+
+        if (!text || variants.length === 0) return text;
+
+        const tokens = Array.from(text.matchAll(/\S+/g), match => {
+            const [, lead, core, trail] = match[0].match(WORD_CORE);
+            return { start: match.index, end: match.index + match[0].length, lead, core, trail };
+        });
+
+        let result = '';
+        let position = 0;
+        let i = 0;
+
+        while (i < tokens.length) {
+            const match = this.findMatch(tokens, i, variants);
+
+            // A closer match from the next word on wins ("to calcutta" is just "calcutta")
+            const next = match && i + 1 < tokens.length ? this.findMatch(tokens, i + 1, variants) : null;
+            if (!match || (next && next.score > match.score)) {
+                i++;
+                continue;
+            }
+
+            const first = tokens[i];
+            const last = tokens[i + match.length - 1];
+            result += text.slice(position, first.start) + first.lead + match.term + last.trail;
+            position = last.end;
+            i += match.length;
+        }
+
+        return result + text.slice(position);
+    }
+
+    /**
+     * Find the best term for the words starting at a token
+     * @param {Array<Object>} tokens - Words with their surrounding punctuation
+     * @param {number} index - First word
+     * @param {Array<Object>} variants - { term, key, words } per spelling
+     * @returns {Object|null} { term, length: words replaced, score }, or null if nothing is close
+     */
+    findMatch(tokens, index, variants) {
+        let best = null;
+
+        variants.forEach(variant => {
+            // Recognisers split and join words differently: try one word more and fewer
+            const longest = Math.min(variant.words + 1, tokens.length - index);
+            for (let length = Math.max(1, variant.words - 1); length <= longest; length++) {
+                const words = tokens.slice(index, index + length);
+
+                // Punctuation between words ends the phrase
+                if (words.slice(0, -1).some(word => word.trail) || words.slice(1).some(word => word.lead)) continue;
+
+                const score = similarity(normalize(words.map(word => word.core).join('')), variant.key);
+                const threshold = variant.key.length < MIN_FUZZY_LENGTH ? 1 : FUZZY_THRESHOLD;
+                if (score < threshold) continue;
+
+                if (!best || score > best.score || (score === best.score && length > best.length)) {
+                    best = { term: variant.term, length, score };
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Load entries from localStorage
+     * @returns {Array<Object>} Entries
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(stored)) {
+                return stored.filter(entry => entry && typeof entry.term === 'string' && entry.term.trim())
+                    .map(entry => ({
+                        id: entry.id || `term-${Math.random().toString(36).slice(2, 10)}`,
+                        term: entry.term.trim(),
+                        spellings: Array.isArray(entry.spellings) ? entry.spellings.filter(s => typeof s === 'string') : [],
+                        language: typeof entry.language === 'string' ? entry.language : ''
+                    }));
+            }
+        } catch (error) {
+            console.error('[Vocabulary] Failed to load vocabulary:', error);
+        }
+
+        return [];
+    }
+
+    /**
+     * Persist entries to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('[Vocabulary] Failed to save vocabulary:', error);
+        }
+    }
+}
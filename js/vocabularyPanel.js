@@ -0,0 +1,195 @@
+/**
+ * VocabularyPanel Module
+ * Renders the vocabulary dialog: add terms with the spellings they are heard
+ * as, list and delete them
+ * Follows Single Responsibility Principle: Only manages the vocabulary UI
+ */
+
+export class VocabularyPanel {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('vocabularyPanel'),
+            openBtn: document.getElementById('vocabularyBtn'),
+            closeBtn: document.getElementById('vocabularyCloseBtn'),
+            form: document.getElementById('vocabularyForm'),
+            term: document.getElementById('vocabularyTerm'),
+            spellings: document.getElementById('vocabularySpellings'),
+            language: document.getElementById('vocabularyLanguage'),
+            list: document.getElementById('vocabularyList')
+        };
+
+        this.onOpenCallback = null;
+        this.onAddCallback = null;
+        this.onDeleteCallback = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dialog controls
+     */
+    setupEventListeners() {
+        this.elements.openBtn?.addEventListener('click', () => {
+            this.open();
+        });
+
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.close();
+        });
+
+        this.elements.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.elements.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            const item = e.target.closest('[data-term-id]');
+            if (button && item && this.onDeleteCallback) {
+                this.onDeleteCallback(item.dataset.termId);
+            }
+        });
+    }
+
+    /**
+     * Pass the form's term to the add callback and clear the form
+     */
+    submit() {
+        const { term, spellings, language } = this.elements;
+        if (!term || !term.value.trim()) {
+            term?.focus();
+            return;
+        }
+
+        if (this.onAddCallback) {
+            this.onAddCallback({
+                term: term.value,
+                spellings: spellings ? spellings.value.split(',') : [],
+                language: language ? language.value : ''
+            });
+        }
+
+        term.value = '';
+        if (spellings) spellings.value = '';
+        term.focus();
+    }
+
+    /**
+     * Show the dialog
+     */
+    open() {
+        if (!this.elements.panel) return;
+        this.elements.panel.hidden = false;
+        if (this.onOpenCallback) this.onOpenCallback();
+        this.elements.term?.focus();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (this.elements.panel) this.elements.panel.hidden = true;
+    }
+
+    /**
+     * Check if the dialog is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.elements.panel && !this.elements.panel.hidden;
+    }
+
+    /**
+     * Render the term list
+     * @param {Array} entries - Entries, sorted by term
+     */
+    render(entries) {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = 'No terms yet. Add names, places or jargon that dictation gets wrong.';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.termId = entry.id;
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+
+            const name = document.createElement('div');
+            name.className = 'snapshot-name';
+            name.textContent = entry.term;
+
+            const language = this.getLanguageLabel(entry.language);
+            const details = document.createElement('div');
+            details.className = 'snapshot-time';
+            details.textContent = entry.spellings.length > 0
+                ? `${language} · heard as ${entry.spellings.join(', ')}`
+                : language;
+
+            info.append(name, details);
+
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'snapshot-action';
+            deleteBtn.dataset.action = 'delete';
+            deleteBtn.title = 'Delete term';
+            deleteBtn.textContent = '🗑';
+            actions.appendChild(deleteBtn);
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the name the language select shows for a language
+     * @param {string} languageCode - Language code, or '' for all languages
+     * @returns {string} Label
+     */
+    getLanguageLabel(languageCode) {
+        const option = Array.from(this.elements.language?.options || [])
+            .find(o => o.value === languageCode);
+        return option ? option.textContent : languageCode;
+    }
+
+    /**
+     * Set callback for opening the dialog
+     * @param {Function} callback - Function to call
+     */
+    onOpen(callback) {
+        this.onOpenCallback = callback;
+    }
+
+    /**
+     * Set callback for adding a term
+     * @param {Function} callback - Receives { term, spellings: Array<string>, language }
+     */
+    onAdd(callback) {
+        this.onAddCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting a term
+     * @param {Function} callback - Receives the entry id
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * WAV Encoder Module
+ * Resamples mono PCM audio and packs it as 16-bit WAV
+ */
+
+/**
+ * Resample mono audio by linear interpolation (averaging when downsampling)
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @returns {Float32Array} Resampled audio
+ */
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const start = i * ratio;
+
+        if (ratio > 1) {
+            // Average the input samples this output sample covers
+            const end = Math.min(samples.length, Math.floor(start + ratio));
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.floor(start); j < end; j++) {
+                sum += samples[j];
+                count++;
+            }
+            output[i] = count > 0 ? sum / count : 0;
+        } else {
+            const index = Math.floor(start);
+            const next = Math.min(index + 1, samples.length - 1);
+            const fraction = start - index;
+            output[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Encode mono audio as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate
+ * @returns {Blob} audio/wav Blob
+ */
+export function encodeWAV(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // PCM
+    view.setUint16(22, 1, true);           // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);           // block align
+    view.setUint16(34, 16, true);          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
@@ -0,0 +1,386 @@
+/**
+ * WebSpeechEngine Module
+ * Recognition engine backed by the browser's Web Speech API
+ * Follows Single Responsibility Principle: Only manages speech recognition
+ */
+
+import { RecognitionEngine } from './recognitionEngine.js';
+
+// Errors after which the browser's session is restarted instead of ended
+const RESTARTABLE_ERRORS = ['no-speech', 'network', 'aborted'];
+
+export const DEFAULT_MAX_RESTARTS = 5;
+
+// Alternative transcripts requested per result, offered when correcting a phrase
+const MAX_ALTERNATIVES = 5;
+
+// Backoff between restart attempts: 250 ms, 500 ms, 1 s ... up to 8 s
+const RESTART_BASE_DELAY = 250;
+const RESTART_MAX_DELAY = 8000;
+
+export class WebSpeechEngine extends RecognitionEngine {
+    /**
+     * @param {Object} options - { maxRestarts: restart attempts before giving up }
+     */
+    constructor(options = {}) {
+        super();
+        this.recognition = null;
+        this.restartOnEnd = false;
+
+        // Automatic restarts after the browser ends the session on its own
+        this.maxRestarts = options.maxRestarts ?? DEFAULT_MAX_RESTARTS;
+        this.userStopped = false;
+        this.lastError = null;
+        this.restartAttempts = 0;
+        this.restartTimer = null;
+
+        // Time each result was first heard, by result index
+        this.resultStartTimes = [];
+        
+        this.initializeRecognition();
+    }
+
+    /**
+     * Initialize Web Speech API
+     */
+    initializeRecognition() {
+        // Check if browser supports Web Speech API
+        const SpeechRecognitionAPI = window.SpeechRecognition || window.webkitSpeechRecognition;
+        
+        if (!SpeechRecognitionAPI) {
+            console.error('Web Speech API not supported in this browser');
+            return;
+        }
+
+        this.recognition = new SpeechRecognitionAPI();
+        
+        // Configuration
+        this.recognition.continuous = true; // Keep listening until stopped
+        this.recognition.interimResults = true; // Get results while speaking
+        this.recognition.maxAlternatives = MAX_ALTERNATIVES;
+        this.recognition.lang = this.currentLanguage;
+        this.applyVocabulary();
+
+        // Event handlers
+        this.setupEventHandlers();
+    }
+
+    /**
+     * Setup event handlers for recognition
+     */
+    setupEventHandlers() {
+        if (!this.recognition) return;
+
+        // When recognition starts
+        this.recognition.onstart = () => {
+            this.resultStartTimes = [];
+            this.lastError = null;
+            this.emitStart();
+        };
+
+        // When recognition ends
+        this.recognition.onend = () => {
+            // Language switch in progress: resume without reporting an end
+            if (this.restartOnEnd) {
+                this.restartOnEnd = false;
+                this.startRecognition();
+                return;
+            }
+
+            // The browser ended the session on its own: try to carry on
+            const restartable = this.lastError === null || RESTARTABLE_ERRORS.includes(this.lastError);
+            if (!this.userStopped && this.isListening && restartable) {
+                this.scheduleRestart();
+                return;
+            }
+
+            this.finishSession();
+        };
+
+        // When results are received
+        this.recognition.onresult = (event) => {
+            // Hearing speech again means the connection is healthy
+            this.restartAttempts = 0;
+
+            let interimTranscript = '';
+            let finalTranscript = '';
+            let timing = null;
+            const finalResults = [];
+            const now = this.getElapsedTime();
+
+            // Process all results
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript;
+
+                // A result starts when it is first heard (usually as interim)
+                if (this.resultStartTimes[i] === undefined) {
+                    this.resultStartTimes[i] = now;
+                }
+                
+                if (event.results[i].isFinal) {
+                    finalTranscript += transcript;
+                    finalResults.push(event.results[i]);
+                    timing = {
+                        start: timing ? timing.start : this.resultStartTimes[i],
+                        end: now
+                    };
+                } else {
+                    interimTranscript += transcript;
+                }
+            }
+
+            // Send results to callback
+            this.emitResult({
+                final: finalTranscript,
+                interim: interimTranscript,
+                isFinal: finalTranscript.length > 0,
+                timing: timing,
+                alternatives: WebSpeechEngine.combineAlternatives(finalResults),
+                confidence: WebSpeechEngine.combineConfidence(finalResults)
+            });
+        };
+
+        // Error handling
+        this.recognition.onerror = (event) => {
+            // Decides in onend whether the session is restarted
+            this.lastError = event.error;
+
+            // Chrome reports no-speech after every pause: the restart (shown through
+            // onReconnecting) handles it, and 'restart-failed' reports giving up
+            if (this.willRestart(event.error)) {
+                console.warn('[WebSpeechEngine] Recognition error, restarting:', event.error);
+                return;
+            }
+
+            console.error('Speech recognition error:', event.error);
+            this.emitError(event.error);
+        };
+    }
+
+    /**
+     * Start listening
+     */
+    start() {
+        if (!this.recognition) {
+            console.error('Speech recognition not initialized');
+            return;
+        }
+
+        if (this.isListening) {
+            console.warn('Already listening');
+            return;
+        }
+
+        this.userStopped = false;
+        this.restartAttempts = 0;
+        this.startRecognition();
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        if (!this.recognition) return;
+
+        if (!this.isListening) {
+            console.warn('Not currently listening');
+            return;
+        }
+
+        this.userStopped = true;
+
+        // Waiting to restart: there is no browser session to stop
+        if (this.restartTimer) {
+            this.finishSession();
+            return;
+        }
+
+        try {
+            this.recognition.stop();
+        } catch (error) {
+            console.error('Error stopping recognition:', error);
+        }
+    }
+
+    /**
+     * Start the browser's recognition session
+     */
+    startRecognition() {
+        try {
+            this.recognition.start();
+        } catch (error) {
+            console.error('Error starting recognition:', error);
+        }
+    }
+
+    /**
+     * Restart after an engine-initiated end, backing off exponentially,
+     * or give up once the attempts are used up
+     */
+    scheduleRestart() {
+        const reason = this.lastError || 'ended';
+
+        if (this.restartAttempts >= this.maxRestarts) {
+            console.error(`[WebSpeechEngine] Giving up after ${this.restartAttempts} restart attempts (${reason})`);
+            this.emitError('restart-failed');
+            this.finishSession();
+            return;
+        }
+
+        this.restartAttempts++;
+        const delay = Math.min(RESTART_BASE_DELAY * 2 ** (this.restartAttempts - 1), RESTART_MAX_DELAY);
+
+        this.emitReconnecting({
+            attempt: this.restartAttempts,
+            maxAttempts: this.maxRestarts,
+            delay,
+            reason
+        });
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.startRecognition();
+        }, delay);
+    }
+
+    /**
+     * Check if the session will be restarted after an error
+     * @param {string} error - Web Speech API error code
+     * @returns {boolean}
+     */
+    willRestart(error) {
+        return this.maxRestarts > 0 && !this.userStopped && this.isListening && RESTARTABLE_ERRORS.includes(error);
+    }
+
+    /**
+     * End the session for good and reset restart state
+     */
+    finishSession() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.restartAttempts = 0;
+        this.lastError = null;
+        this.emitEnd();
+    }
+
+    /**
+     * Change language
+     * @param {string} languageCode - Language code (e.g., 'en-US', 'hi-IN')
+     */
+    setLanguage(languageCode) {
+        super.setLanguage(languageCode);
+        
+        if (this.recognition) {
+            this.recognition.lang = languageCode;
+        }
+
+        // A pending restart picks up the new language by itself
+        if (this.restartTimer) return;
+
+        // If currently listening, restart with new language once the
+        // current session has actually ended
+        if (this.isListening) {
+            this.restartOnEnd = true;
+            try {
+                this.recognition.stop();
+            } catch (error) {
+                console.error('Error stopping recognition:', error);
+            }
+        }
+    }
+
+    /**
+     * Suggest terms the speaker is likely to say
+     * (takes effect when the next session starts)
+     * @param {Array<string>} terms - Words and phrases
+     */
+    setVocabulary(terms) {
+        super.setVocabulary(terms);
+        this.applyVocabulary();
+    }
+
+    /**
+     * Pass the vocabulary to the recogniser as a grammar, where the browser supports it
+     * (Chrome accepts grammars but does not bias recognition by them yet)
+     */
+    applyVocabulary() {
+        const GrammarListAPI = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+        if (!this.recognition || !GrammarListAPI) return;
+
+        try {
+            const grammars = new GrammarListAPI();
+            if (this.vocabulary.length > 0) {
+                grammars.addFromString(WebSpeechEngine.toJSGF(this.vocabulary), 1);
+            }
+            this.recognition.grammars = grammars;
+        } catch (error) {
+            console.error('Error setting recognition grammar:', error);
+        }
+    }
+
+    /**
+     * Build a JSGF grammar that accepts any one of the terms
+     * @param {Array<string>} terms - Words and phrases
+     * @returns {string} Grammar source
+     */
+    static toJSGF(terms) {
+        // Drop characters JSGF gives a meaning to
+        const alternatives = terms
+            .map(term => term.replace(/[;=|*+<>()[\]{}"\/#]/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        return `#JSGF V1.0; grammar vocabulary; public <term> = ${alternatives.join(' | ')} ;`;
+    }
+
+    /**
+     * Check if this engine can run in the current browser
+     * @returns {boolean}
+     */
+    isSupported() {
+        return WebSpeechEngine.isSupported();
+    }
+
+    /**
+     * Build whole-phrase alternatives from the final results of one event
+     * (alternative n of each result joined; results with fewer reuse their last)
+     * @param {Array<SpeechRecognitionResult>} results - Final results
+     * @returns {Array<string>} Alternatives, best first, without duplicates
+     */
+    static combineAlternatives(results) {
+        if (results.length === 0) return [];
+
+        const count = Math.max(...results.map(result => result.length));
+        const alternatives = [];
+
+        for (let n = 0; n < count; n++) {
+            const text = results
+                .map(result => result[Math.min(n, result.length - 1)].transcript)
+                .join('');
+            if (!alternatives.includes(text)) alternatives.push(text);
+        }
+
+        return alternatives;
+    }
+
+    /**
+     * Get the confidence of a phrase made of several final results (the lowest)
+     * @param {Array<SpeechRecognitionResult>} results - Final results
+     * @returns {number|null} Confidence 0-1, or null if the browser gave none
+     */
+    static combineConfidence(results) {
+        // Some browsers report 0 when they have no estimate
+        const values = results
+            .map(result => result[0].confidence)
+            .filter(confidence => typeof confidence === 'number' && confidence > 0);
+
+        return values.length > 0 ? Math.min(...values) : null;
+    }
+
+    /**
+     * Check if Web Speech API is supported
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+}
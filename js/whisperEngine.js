@@ -0,0 +1,239 @@
+/**
+ * WhisperEngine Module
+ * Recognition engine that sends microphone audio to a self-hosted,
+ * Whisper-compatible transcription endpoint (OpenAI /v1/audio/transcriptions API),
+ * so speech never leaves the local network
+ * Follows Single Responsibility Principle: Only turns captured utterances into results
+ *
+ * Audio is split into utterances at pauses. While someone is speaking, the
+ * utterance so far is transcribed periodically for the interim preview; when
+ * they pause, the whole utterance is transcribed once more as the final result.
+ */
+
+import { RecognitionEngine } from './recognitionEngine.js';
+import { MicrophoneCapture } from './microphoneCapture.js';
+import { SpeechChunker } from './speechChunker.js';
+import { encodeWAV, resample } from './wavEncoder.js';
+
+export const DEFAULT_WHISPER_ENDPOINT = 'http://localhost:9000/v1/audio/transcriptions';
+export const DEFAULT_WHISPER_MODEL = 'whisper-1';
+
+// Whisper is trained on 16 kHz audio; smaller uploads too
+const UPLOAD_SAMPLE_RATE = 16000;
+
+// How often the utterance in progress is re-transcribed for the preview (ms)
+const INTERIM_INTERVAL = 1500;
+
+// Utterances shorter than this get no interim request (ms)
+const MIN_INTERIM_DURATION = 1000;
+
+export class WhisperEngine extends RecognitionEngine {
+    /**
+     * @param {Object} options - { endpoint, model }
+     */
+    constructor(options = {}) {
+        super();
+        this.endpoint = options.endpoint || DEFAULT_WHISPER_ENDPOINT;
+        this.model = options.model || DEFAULT_WHISPER_MODEL;
+
+        this.microphone = new MicrophoneCapture();
+        this.sampleRate = 0;
+        this.chunker = null;
+        this.interimTimer = null;
+        this.interimPending = false;
+
+        // Incremented per utterance so stale interim responses are dropped
+        this.utteranceId = 0;
+
+        // Final results are emitted in utterance order, whatever order the server answers in
+        this.resultQueue = Promise.resolve();
+        this.isStopping = false;
+    }
+
+    /**
+     * Start listening
+     */
+    async start() {
+        if (this.isListening) {
+            console.warn('Already listening');
+            return;
+        }
+
+        // Claim the session now so a second start() during the permission prompt is ignored
+        this.isListening = true;
+        this.isStopping = false;
+
+        try {
+            await this.microphone.start();
+        } catch (error) {
+            console.error('[WhisperEngine] Microphone unavailable:', error);
+            this.emitError(error.name === 'NotAllowedError' || error.name === 'SecurityError' ? 'not-allowed' : 'audio-capture');
+            this.emitEnd();
+            return;
+        }
+
+        // stop() was called during the permission prompt
+        if (this.isStopping) {
+            this.microphone.stop();
+            this.emitEnd();
+            return;
+        }
+
+        this.sampleRate = this.microphone.getSampleRate();
+        this.chunker = new SpeechChunker(this.sampleRate);
+        this.chunker.onSpeechStart(() => {
+            this.utteranceId++;
+        });
+        this.chunker.onUtterance((utterance) => {
+            this.queueFinal(utterance);
+        });
+        this.microphone.onAudio((samples) => {
+            this.chunker.push(samples);
+        });
+
+        this.interimTimer = setInterval(() => this.requestInterim(), INTERIM_INTERVAL);
+        this.emitStart();
+    }
+
+    /**
+     * Stop listening; the last utterance is still transcribed before the end is reported
+     */
+    async stop() {
+        if (!this.isListening || this.isStopping) {
+            console.warn('Not currently listening');
+            return;
+        }
+
+        this.isStopping = true;
+        clearInterval(this.interimTimer);
+        this.interimTimer = null;
+
+        // Still waiting for microphone permission: start() finishes the stop
+        if (!this.chunker) return;
+
+        this.microphone.onAudio(null);
+        this.microphone.stop();
+        this.chunker.flush();
+        this.chunker = null;
+
+        await this.resultQueue;
+        this.emitEnd();
+    }
+
+    /**
+     * Transcribe a finished utterance and emit it as a final result
+     * @param {Object} utterance - { samples, start, end }
+     */
+    queueFinal(utterance) {
+        // Upload now, emit in order
+        const request = this.transcribe(utterance.samples);
+
+        this.resultQueue = this.resultQueue.then(async () => {
+            let text;
+            try {
+                text = await request;
+            } catch (error) {
+                console.error('[WhisperEngine] Transcription failed:', error);
+                this.emitError(error instanceof TypeError ? 'transcription-server' : 'transcription-failed');
+                return;
+            }
+
+            this.emitResult({
+                final: text,
+                interim: '',
+                isFinal: true,
+                timing: { start: utterance.start, end: utterance.end }
+            });
+        });
+    }
+
+    /**
+     * Transcribe the utterance in progress for the interim preview
+     */
+    async requestInterim() {
+        if (!this.chunker || this.interimPending) return;
+        if (this.chunker.getCurrentDuration() < MIN_INTERIM_DURATION) return;
+
+        const utteranceId = this.utteranceId;
+        this.interimPending = true;
+
+        try {
+            const text = await this.transcribe(this.chunker.getCurrentAudio());
+
+            // Drop it if the utterance has ended (its final result is on the way)
+            const stillSpeaking = this.chunker && this.chunker.getCurrentDuration() > 0;
+            if (text && stillSpeaking && utteranceId === this.utteranceId) {
+                this.emitResult({ final: '', interim: text, isFinal: false, timing: null });
+            }
+        } catch (error) {
+            // The final request reports errors; a missed preview is harmless
+            console.warn('[WhisperEngine] Interim transcription failed:', error);
+        } finally {
+            this.interimPending = false;
+        }
+    }
+
+    /**
+     * Send audio to the transcription endpoint
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the samples (default: the capture rate)
+     * @returns {Promise<string>} Transcribed text
+     */
+    async transcribe(samples, sampleRate = this.sampleRate) {
+        const audio = resample(samples, sampleRate, UPLOAD_SAMPLE_RATE);
+
+        const form = new FormData();
+        form.append('file', encodeWAV(audio, UPLOAD_SAMPLE_RATE), 'speech.wav');
+        form.append('model', this.model);
+        form.append('language', WhisperEngine.toWhisperLanguage(this.currentLanguage));
+        form.append('response_format', 'json');
+
+        // The prompt steers spelling of names and jargon
+        if (this.vocabulary.length > 0) {
+            form.append('prompt', this.vocabulary.join(', '));
+        }
+
+        const response = await fetch(this.endpoint, { method: 'POST', body: form });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${this.endpoint}`);
+        }
+
+        const data = await response.json();
+        return (data.text || '').trim();
+    }
+
+    /**
+     * Check if this engine can transcribe recorded audio (audio file import)
+     * @returns {boolean}
+     */
+    canTranscribeAudio() {
+        return true;
+    }
+
+    /**
+     * Transcribe a clip of recorded audio, outside a dictation session
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the samples
+     * @returns {Promise<string>} Transcribed text
+     */
+    transcribeAudio(samples, sampleRate) {
+        return this.transcribe(samples, sampleRate);
+    }
+
+    /**
+     * Check if this engine can run in the current browser
+     * @returns {boolean}
+     */
+    isSupported() {
+        return MicrophoneCapture.isSupported();
+    }
+
+    /**
+     * Convert a BCP 47 language code to the ISO 639-1 code Whisper expects
+     * @param {string} languageCode - e.g. 'hi-IN'
+     * @returns {string} e.g. 'hi'
+     */
+    static toWhisperLanguage(languageCode) {
+        return (languageCode || 'en').split('-')[0].toLowerCase();
+    }
+}
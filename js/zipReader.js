@@ -0,0 +1,121 @@
+/**
+ * ZipReader Module
+ * Reads entries from ZIP archives (stored or deflated) in the browser
+ * Follows Single Responsibility Principle: Only reads ZIP containers
+ */
+
+export class ZipReader {
+    /**
+     * @param {ArrayBuffer} buffer - Archive bytes
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = this.readCentralDirectory();
+    }
+
+    /**
+     * Parse the central directory into an entry map
+     * @returns {Map<string, Object>} Entries keyed by path
+     */
+    readCentralDirectory() {
+        const view = this.view;
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        // End of central directory record sits in the last 22 bytes + comment
+        let endOffset = -1;
+        for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+
+        if (endOffset < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength));
+
+            entries.set(name, { name, method, compressedSize, localOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check if the archive contains a path
+     * @param {string} name - Entry path
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Read an entry's bytes
+     * @param {string} name - Entry path
+     * @returns {Promise<Uint8Array>} Uncompressed content
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing ZIP entry: ${name}`);
+        }
+
+        // Local header lengths can differ from the central directory copy
+        const nameLength = this.view.getUint16(entry.localOffset + 26, true);
+        const extraLength = this.view.getUint16(entry.localOffset + 28, true);
+        const start = entry.localOffset + 30 + nameLength + extraLength;
+        const data = new Uint8Array(this.buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data;
+        }
+
+        if (entry.method === 8) {
+            return ZipReader.inflate(data);
+        }
+
+        throw new Error(`Unsupported ZIP compression method: ${entry.method}`);
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} name - Entry path
+     * @returns {Promise<string>} Text content
+     */
+    async readText(name) {
+        return new TextDecoder().decode(await this.read(name));
+    }
+
+    /**
+     * Decompress raw deflate data
+     * @param {Uint8Array} data - Deflated bytes
+     * @returns {Promise<Uint8Array>} Inflated bytes
+     */
+    static async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP files');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
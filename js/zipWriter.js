@@ -0,0 +1,119 @@
+/**
+ * ZipWriter Module
+ * Builds uncompressed (stored) ZIP archives in the browser
+ * Follows Single Responsibility Principle: Only writes ZIP containers
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export class ZipWriter {
+    constructor() {
+        this.files = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} path - Path inside the archive
+     * @param {string|Uint8Array} content - File content (strings are UTF-8 encoded)
+     */
+    addFile(path, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.files.push({
+            name: this.encoder.encode(path),
+            data: data,
+            crc: ZipWriter.crc32(data)
+        });
+    }
+
+    /**
+     * Build the archive
+     * @param {string} mimeType - Blob MIME type
+     * @returns {Blob} ZIP archive
+     */
+    toBlob(mimeType = 'application/zip') {
+        const { time, date } = ZipWriter.dosDateTime(new Date());
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const file of this.files) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);      // Local file header signature
+            local.setUint16(4, 20, true);              // Version needed
+            local.setUint16(6, 0x0800, true);          // UTF-8 file names
+            local.setUint16(8, 0, true);               // Stored (no compression)
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);    // Central directory signature
+            central.setUint16(4, 20, true);            // Version made by
+            central.setUint16(6, 20, true);            // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, file.crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, file.name.length, true);
+            central.setUint32(42, offset, true);       // Offset of local header
+
+            parts.push(local, file.name, file.data);
+            centralDirectory.push(central, file.name);
+            offset += 30 + file.name.length + file.data.length;
+        }
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);            // End of central directory signature
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: mimeType });
+    }
+
+    /**
+     * Compute CRC-32 checksum
+     * @param {Uint8Array} data - Bytes to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @param {Date} value - Date to convert
+     * @returns {Object} { time, date }
+     */
+    static dosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
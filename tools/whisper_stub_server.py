@@ -0,0 +1,135 @@
+#!/usr/bin/env python3
+"""
+Stand-in for a Whisper-compatible transcription server.
+
+Implements POST /v1/audio/transcriptions (the OpenAI audio API that
+faster-whisper-server, whisper.cpp's server and LocalAI also expose) so the
+whisper engine can be developed and tested without a GPU or a model download.
+
+By default it answers with placeholder words, about 2.5 per second of audio,
+so interim results grow while you speak and the final result matches their
+length. With --model it transcribes for real using faster-whisper, if that
+package is installed (pip install faster-whisper).
+
+    python3 tools/whisper_stub_server.py                # placeholder text
+    python3 tools/whisper_stub_server.py --model small  # real transcription
+
+Then open http://localhost:8000/?engine=whisper
+"""
+
+import argparse
+import io
+import json
+import wave
+from email.parser import BytesParser
+from email.policy import HTTP
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+ENDPOINT = '/v1/audio/transcriptions'
+PLACEHOLDER_WORDS = 'the quick brown fox jumps over the lazy dog'.split()
+WORDS_PER_SECOND = 2.5
+
+model = None
+
+
+def parse_multipart(content_type, body):
+    """Return {field name: (filename, bytes)} for a multipart/form-data body."""
+    message = BytesParser(policy=HTTP).parsebytes(
+        b'Content-Type: ' + content_type.encode('latin-1') + b'\r\n\r\n' + body
+    )
+    fields = {}
+    for part in message.iter_parts():
+        name = part.get_param('name', header='content-disposition')
+        if name:
+            fields[name] = (part.get_filename(), part.get_payload(decode=True) or b'')
+    return fields
+
+
+def wav_duration(data):
+    """Length of a WAV file in seconds (0 if it cannot be read)."""
+    try:
+        with wave.open(io.BytesIO(data)) as audio:
+            return audio.getnframes() / float(audio.getframerate())
+    except (wave.Error, EOFError):
+        return 0.0
+
+
+def placeholder_text(duration):
+    count = round(duration * WORDS_PER_SECOND)
+    return ' '.join(PLACEHOLDER_WORDS[i % len(PLACEHOLDER_WORDS)] for i in range(count))
+
+
+def transcribe(data, language):
+    segments, _ = model.transcribe(io.BytesIO(data), language=language or None)
+    return ''.join(segment.text for segment in segments).strip()
+
+
+class Handler(BaseHTTPRequestHandler):
+    def send_cors_headers(self):
+        # The app is served from another port, so every response needs CORS
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+
+    def send_json(self, status, payload):
+        body = json.dumps(payload).encode('utf-8')
+        self.send_response(status)
+        self.send_cors_headers()
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_POST(self):
+        if self.path.split('?')[0] != ENDPOINT:
+            self.send_json(404, {'error': {'message': f'Use POST {ENDPOINT}'}})
+            return
+
+        content_type = self.headers.get('Content-Type', '')
+        if not content_type.startswith('multipart/form-data'):
+            self.send_json(400, {'error': {'message': 'Expected multipart/form-data'}})
+            return
+
+        body = self.rfile.read(int(self.headers.get('Content-Length', 0)))
+        fields = parse_multipart(content_type, body)
+        if 'file' not in fields:
+            self.send_json(400, {'error': {'message': 'Missing "file" field'}})
+            return
+
+        audio = fields['file'][1]
+        language = fields.get('language', (None, b''))[1].decode('utf-8')
+        duration = wav_duration(audio)
+
+        text = transcribe(audio, language) if model else placeholder_text(duration)
+        self.log_message('%.1fs of audio (%s) -> %r', duration, language or 'auto', text)
+        self.send_json(200, {'text': text})
+
+
+def main():
+    global model
+
+    parser = argparse.ArgumentParser(description='Stand-in Whisper-compatible transcription server')
+    parser.add_argument('--host', default='localhost')
+    parser.add_argument('--port', type=int, default=9000)
+    parser.add_argument('--model', help='faster-whisper model name (e.g. small); placeholder text if omitted')
+    args = parser.parse_args()
+
+    if args.model:
+        from faster_whisper import WhisperModel
+        model = WhisperModel(args.model)
+
+    server = ThreadingHTTPServer((args.host, args.port), Handler)
+    print(f'Transcription endpoint: http://{args.host}:{args.port}{ENDPOINT}')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()